@@ -13,12 +13,24 @@
  */
 
 const WORKER_VERSION = "2.2.0";
+// Version of the extraction rules. Bump it whenever patterns or rules change so
+// cached results produced by older rules are not reused.
+const RULES_VERSION = "20";
 
 import { createClient } from '@supabase/supabase-js';
 import { Redis } from '@upstash/redis';
 import pdf from 'pdf-parse';
-import { v4 as uuidv4 } from 'uuid';
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import http from 'http';
+import os from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import zlib from 'zlib';
 
 // ============================================================
 // CONFIGURATION
@@ -29,12 +41,108 @@ const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const REDIS_URL = process.env.UPSTASH_REDIS_REST_URL;
 const REDIS_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-const redis = new Redis({ url: REDIS_URL, token: REDIS_TOKEN });
+// Clients are only created when configured so the offline CLI can run without credentials
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+// Values are kept as raw strings so acknowledged jobs can be removed from lists verbatim
+const redis = REDIS_URL && REDIS_TOKEN
+  ? new Redis({ url: REDIS_URL, token: REDIS_TOKEN, automaticDeserialization: false })
+  : null;
 
 const QUEUE_NAME = 'policy-processing';
 const POLL_INTERVAL = 5000;
 const MAX_RETRIES = 3;
+const DEAD_LETTER_QUEUE = `${QUEUE_NAME}:dead`;
+
+// Failed jobs wait in a sorted set scored by due time (ms) until the maintenance timer promotes them
+const DELAYED_QUEUE = `${QUEUE_NAME}:delayed`;
+const RETRY_BASE_DELAY = 30000;
+const RETRY_MAX_DELAY = 15 * 60000;
+
+// Jobs processed at once by this worker, and documents downloaded/parsed at once per job.
+// Peak memory grows with JOB_CONCURRENCY × DOCUMENT_CONCURRENCY open PDFs.
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10) || 1);
+const DOCUMENT_CONCURRENCY = Math.max(1, parseInt(process.env.DOCUMENT_CONCURRENCY || '2', 10) || 1);
+
+// How long in-flight jobs may keep running after SIGTERM/SIGINT before they are re-queued.
+// Render allows 30s between SIGTERM and SIGKILL by default.
+const SHUTDOWN_GRACE_PERIOD = parseInt(process.env.SHUTDOWN_GRACE_PERIOD_MS || '25000', 10);
+
+// Optional HTTP server for /healthz, /readyz and /metrics (disabled unless a port is set)
+const METRICS_PORT = parseInt(process.env.METRICS_PORT || '0', 10);
+
+// Reliable queue: jobs are moved into a per-worker processing list and held under a lease
+// that the worker keeps refreshing. Leases that expire (crash, restart) are re-queued by the reaper.
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const PROCESSING_LIST_PREFIX = `${QUEUE_NAME}:processing:`;
+const LEASE_KEY_PREFIX = `${QUEUE_NAME}:lease:`;
+const WORKERS_SET = `${QUEUE_NAME}:workers`;
+const VISIBILITY_TIMEOUT = parseInt(process.env.VISIBILITY_TIMEOUT_SECONDS || '300', 10); // seconds
+const REAPER_INTERVAL = 60000;
+const STALE_RUN_TIMEOUT = parseInt(process.env.STALE_RUN_TIMEOUT_MINUTES || '30', 10) * 60000;
+
+// OCR for scanned pages (no text layer). Runs the local `pdftoppm` and `tesseract` binaries;
+// when they are not installed, scanned pages stay empty and a warning is logged.
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'heb+eng';
+const OCR_MIN_PAGE_CHARS = 20; // fewer non-whitespace characters than this = no text layer
+const OCR_DPI = 300;
+const OCR_TIMEOUT = 120000; // per page, for each of rendering and recognition
+
+// ============================================================
+// LOGGING
+// ============================================================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// 'json' emits one JSON object per line for the log aggregator; 'pretty' is for local development
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json');
+
+// Per-job context ({ run_id, attempt, stage, document_id }) merged into every log line
+const jobContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with extra fields added to the current log context
+ */
+function withLogContext(fields, fn) {
+  return jobContext.run({ ...jobContext.getStore(), ...fields }, fn);
+}
+
+function formatPrettyLog(entry) {
+  const { time, level, msg, run_id, stage, worker_version, ...fields } = entry;
+  const scope = [run_id?.substring(0, 8), stage].filter(Boolean).join(' ');
+  const details = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+    .join(' ');
+  return `${time.substring(11, 23)} ${level.toUpperCase().padEnd(5)} ${scope ? `[${scope}] ` : ''}${msg}${details ? `  ${details}` : ''}`;
+}
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    worker_version: WORKER_VERSION,
+    ...jobContext.getStore(),
+    ...fields,
+  };
+  for (const key of Object.keys(entry)) {
+    if (entry[key] === undefined) delete entry[key];
+  }
+  
+  const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatPrettyLog(entry);
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
+};
 
 // ============================================================
 // CLAUSE EXTRACTION PATTERNS (from clauseExtraction.ts)
@@ -162,6 +270,51 @@ const ANNEX_PATTERNS = {
   english: [/annex/i, /appendix/i, /rider/i, /endorsement/i, /schedule/i, /addendum/i, /supplement/i],
 };
 
+// Content signals per document type. Heading patterns are matched against the first
+// lines of the document, keywords anywhere in its opening text.
+const DOC_TYPE_SIGNALS = {
+  policy: {
+    headings: [/פוליס(?:ה|ת)\s+(?:ל)?ביטוח/, /^פוליסה\b/m, /insurance\s+policy/i, /policy\s+wording/i],
+    keywords: [/המבטח/, /מקרה\s+(?:ה)?ביטוח/, /תקופת\s+(?:ה)?ביטוח/, /הגדרות/, /insured\s+event/i, /period\s+of\s+insurance/i, /definitions/i, /the\s+insurer/i],
+  },
+  general_terms: {
+    headings: [/תנאים\s+כלליים/, /general\s+(?:terms|conditions)/i],
+    keywords: [/ביטול\s+(?:ה)?פוליסה/, /דמי\s+(?:ה)?ביטוח/, /התיישנות/, /הדין\s+החל|סמכות\s+שיפוט/, /cancell?ation/i, /limitation\s+period|statute\s+of\s+limitations/i, /governing\s+law|applicable\s+law/i],
+  },
+  schedule: {
+    headings: [/דף\s+פרטי(?:ם|\s+(?:ה)?ביטוח)/, /רשימת\s+(?:ה)?כיסויים/, /policy\s+schedule/i, /schedule\s+of\s+(?:benefits|cover)/i],
+    keywords: [/סכום\s+(?:ה)?ביטוח/, /פרמיה/, /השתתפות\s+עצמית/, /שם\s+(?:ה)?מבוטח/, /sum\s+insured/i, /premium/i, /deductible|excess/i, /name\s+of\s+(?:the\s+)?insured|insured\s+name/i],
+  },
+  endorsement: {
+    headings: [/הרחבה\s+ל?פוליסה/, /^endorsement\b/im, /^rider\b/im],
+    keywords: [/מצורף\s+ל?פוליסה/, /מהווה\s+חלק\s+בלתי\s+נפרד/, /this\s+(?:endorsement|rider)/i, /forms?\s+(?:an\s+integral\s+)?part\s+of\s+(?:the|this)\s+policy/i],
+  },
+  claim_form: {
+    headings: [/טופס\s+(?:הגשת\s+)?תביעה/, /claim\s+form/i],
+    keywords: [/פרטי\s+(?:ה)?תובע/, /תאריך\s+(?:ה)?(?:אירוע|מקרה)/, /חתימת\s+(?:ה)?מבוטח|הצהרת\s+(?:ה)?מבוטח/, /פרטי\s+חשבון\s+(?:ה)?בנק/, /claimant/i, /date\s+of\s+(?:the\s+)?(?:event|incident|loss)/i, /bank\s+(?:account\s+)?details/i, /[☐□]/],
+  },
+  correspondence: {
+    headings: [/^(?:לכבוד|הנדון)/m, /^(?:dear|re:|subject:|from:)/im],
+    keywords: [/בברכה/, /לכבוד/, /הנדון/, /sincerely|kind\s+regards|best\s+regards/i, /^To:/m, /^Date:/m],
+  },
+  denial_letter: {
+    headings: [/דחיית\s+(?:ה)?תביעה/, /הודעה\s+על\s+דחי(?:י)?ה/, /claim\s+(?:denial|rejection)/i],
+    keywords: [/נדחית|נדחתה|נאלצים\s+לדחות|החלטנו\s+לדחות/, /אין\s+כיסוי\s+ביטוחי/, /לא\s+נוכל\s+לאשר/, /(?:claim|request)\s+(?:has\s+been|is|was)\s+(?:denied|rejected|declined)/i, /unable\s+to\s+(?:approve|accept)/i, /זכותך\s+לערער|הממונה\s+על\s+שוק\s+ההון|המפקח\s+על\s+הביטוח/, /right\s+to\s+appeal/i],
+  },
+};
+
+// Hebrew names of the document types, used in notes shown to the user
+const DOC_TYPE_LABELS = {
+  policy: 'פוליסה',
+  general_terms: 'תנאים כלליים',
+  schedule: 'דף פרטי ביטוח',
+  endorsement: 'נספח',
+  claim_form: 'טופס תביעה',
+  correspondence: 'התכתבות',
+  denial_letter: 'מכתב דחייה',
+  unknown: 'לא ידוע',
+};
+
 // ============================================================
 // POLICY METADATA EXTRACTION PATTERNS
 // ============================================================
@@ -217,6 +370,7 @@ const METADATA_PATTERNS = {
   // Start date patterns — standard + reversed RTL
   policyStartDates: [
     /(?:תאריך\s+(?:תחילת?\s+)?תוקף|מיום|תחילה)[:\s]*(\d{1,2}[\/\.\-]\d{1,2}[\/\.\-]\d{2,4})/,
+    /(?:תאריך\s+)?תחילת\s+(?:ה)?ביטוח[:\s]*(\d{1,2}[\/\.\-]\d{1,2}[\/\.\-]\d{2,4})/,
     /(?:effective\s+(?:from|date))[:\s]*(\d{1,2}[\/\.\-]\d{1,2}[\/\.\-]\d{2,4})/i,
     /(?:valid\s+from)[:\s]*(\d{1,2}[\/\.\-]\d{1,2}[\/\.\-]\d{2,4})/i,
     // "החל מ-01.04.2021" or "01.04.2021 - מה החל"
@@ -309,7 +463,7 @@ function extractPolicyMetadata(documents) {
     ['policy', 'general_terms', 'schedule', 'endorsement'].includes(d.doc_type)
   );
   const claimDocs = documents.filter(d => 
-    ['claim_form', 'correspondence', 'unknown'].includes(d.doc_type) || 
+    ['claim_form', 'correspondence', 'denial_letter', 'unknown'].includes(d.doc_type) || 
     d.display_name?.toLowerCase().includes('claim') ||
     d.display_name?.toLowerCase().includes('תביעה') ||
     d.display_name?.toLowerCase().includes('דחייה') ||
@@ -355,7 +509,7 @@ function extractPolicyMetadata(documents) {
         const reversedMap = { 'הרונמ': 'מנורה', 'לדגמ': 'מגדל', 'לארה': 'הראל' };
         const raw = match[1].trim();
         metadata.insurerName = reversedMap[raw] || raw;
-        console.log(`[extractPolicyMetadata] Found insurer: ${metadata.insurerName}`);
+        logger.debug('Found insurer', { insurer: metadata.insurerName });
         break;
       }
     }
@@ -368,7 +522,7 @@ function extractPolicyMetadata(documents) {
         // Reject placeholders: "-", "0", "00", "N/A", single chars, etc.
         if (candidate.length >= 3 && !/^[-0]+$/.test(candidate) && !/^(N\/A|none|unknown)$/i.test(candidate)) {
           metadata.policyNumber = candidate;
-          console.log(`[extractPolicyMetadata] Found policy number: ${metadata.policyNumber}`);
+          logger.debug('Found policy number', { policy_number: metadata.policyNumber });
           break;
         }
       }
@@ -379,7 +533,7 @@ function extractPolicyMetadata(documents) {
       const match = textToSearch.match(typePattern.pattern);
       if (match) {
         metadata.policyType = typePattern.type;
-        console.log(`[extractPolicyMetadata] Found policy type: ${typePattern.type} from match: ${match[0]}`);
+        logger.debug('Found policy type', { policy_type: typePattern.type, match: match[0] });
         break;
       }
     }
@@ -389,7 +543,7 @@ function extractPolicyMetadata(documents) {
       const match = textToSearch.match(pattern);
       if (match) {
         metadata.policyStartDate = formatDateForForm(match[1]);
-        console.log(`[extractPolicyMetadata] Found start date: ${metadata.policyStartDate}`);
+        logger.debug('Found start date', { policy_start_date: metadata.policyStartDate });
         break;
       }
     }
@@ -399,7 +553,7 @@ function extractPolicyMetadata(documents) {
       const match = textToSearch.match(pattern);
       if (match) {
         metadata.policyEndDate = formatDateForForm(match[1]);
-        console.log(`[extractPolicyMetadata] Found end date: ${metadata.policyEndDate}`);
+        logger.debug('Found end date', { policy_end_date: metadata.policyEndDate });
         break;
       }
     }
@@ -415,10 +569,10 @@ function extractPolicyMetadata(documents) {
         const invalidNamePatterns = /(?:זכאים|כיסויים|בתחום|הרפואה|הפרט|ביטוח|פוליסה|תנאים|חריגים|הגדרות|המבטח|החברה|תביעה|סעיף|פרק|כיסוי|תשלום|שיפוי|החזר|נספח)/;
         if (wordCount >= 2 && wordCount <= 4 && candidate.length <= 30 && !invalidNamePatterns.test(candidate)) {
           metadata.insuredName = candidate;
-          console.log(`[extractPolicyMetadata] Found insured name: ${metadata.insuredName}`);
+          logger.debug('Found insured name', { insured_name: metadata.insuredName });
           break;
         } else {
-          console.log(`[extractPolicyMetadata] Rejected insuredName candidate: "${candidate}" (words=${wordCount}, len=${candidate.length})`);
+          logger.debug('Rejected insured name candidate', { candidate, words: wordCount, length: candidate.length });
         }
       }
     }
@@ -432,7 +586,7 @@ function extractPolicyMetadata(documents) {
       const match = claimSearchText.match(pattern);
       if (match) {
         metadata.claimNumber = match[1].trim();
-        console.log(`     📋 Found claim number: ${metadata.claimNumber}`);
+        logger.debug('Found claim number', { claim_number: metadata.claimNumber });
         break;
       }
     }
@@ -442,7 +596,7 @@ function extractPolicyMetadata(documents) {
       const match = claimSearchText.match(pattern);
       if (match) {
         metadata.claimDate = formatDateForForm(match[1]);
-        console.log(`     📋 Found claim date: ${metadata.claimDate}`);
+        logger.debug('Found claim date', { claim_date: metadata.claimDate });
         break;
       }
     }
@@ -452,7 +606,7 @@ function extractPolicyMetadata(documents) {
       const match = claimSearchText.match(pattern);
       if (match) {
         metadata.denialDate = formatDateForForm(match[1]);
-        console.log(`     📋 Found denial date: ${metadata.denialDate}`);
+        logger.debug('Found denial date', { denial_date: metadata.denialDate });
         break;
       }
     }
@@ -465,7 +619,7 @@ function extractPolicyMetadata(documents) {
         metadata.denialReason = match[1].trim()
           .replace(/\s+/g, ' ')
           .substring(0, 300);
-        console.log(`     📋 Found denial reason: ${metadata.denialReason.substring(0, 50)}...`);
+        logger.debug('Found denial reason', { denial_reason: metadata.denialReason.substring(0, 50) });
         break;
       }
     }
@@ -475,7 +629,7 @@ function extractPolicyMetadata(documents) {
       const match = claimSearchText.match(pattern);
       if (match) {
         metadata.eventDate = formatDateForForm(match[1]);
-        console.log(`     📋 Found event date: ${metadata.eventDate}`);
+        logger.debug('Found event date', { event_date: metadata.eventDate });
         break;
       }
     }
@@ -779,9 +933,10 @@ function extractAnnexName(text) {
 }
 
 /**
- * Enrich an evidence span with clause-level citations
+ * Enrich an evidence span with clause-level citations.
+ * position ({ char_start, char_end, boxes } on the page) lets the viewer highlight the quote.
  */
-function enrichEvidenceSpan(pageText, quote, documentId, documentName, documentType, page, confidence) {
+function enrichEvidenceSpan(pageText, quote, documentId, documentName, documentType, page, confidence, position) {
   const clauseRef = findNearestClause(pageText || '', quote || '');
   const heading = findNearestHeading(pageText || '', quote || '');
   const paragraphAnchor = !clauseRef ? findParagraphAnchor(pageText || '', quote || '') : null;
@@ -791,7 +946,7 @@ function enrichEvidenceSpan(pageText, quote, documentId, documentName, documentT
   const annexName = isAnnex ? extractAnnexName(pageText || '') || documentName : undefined;
   
   return {
-    evidence_id: uuidv4(),
+    evidence_id: stableId(documentId, page || 1, quote || ''),
     document_id: documentId,
     page: page || 1,
     quote: quote || '',
@@ -805,6 +960,9 @@ function enrichEvidenceSpan(pageText, quote, documentId, documentName, documentT
     highlighted_text: highlightedText || undefined,
     is_annex: isAnnex,
     annex_name: annexName,
+    char_start: position?.char_start,
+    char_end: position?.char_end,
+    boxes: position?.boxes?.length ? position.boxes : undefined,
     verbatim: true,
   };
 }
@@ -826,6 +984,88 @@ function normalizeHebrewText(text) {
     .trim();
 }
 
+// Frequent words in Hebrew policy documents. A line whose words match this list only when
+// read backwards was extracted in visual (reversed) order.
+const HEBREW_COMMON_WORDS = new Set([
+  'של', 'את', 'על', 'או', 'לא', 'כל', 'עם', 'אם', 'זה', 'הוא', 'היא', 'עד', 'לפי', 'בגין', 'אשר',
+  'יהיה', 'תהיה', 'יהיו', 'אין', 'בין', 'כי', 'גם', 'רק', 'מן', 'ידי', 'לרבות', 'למעט', 'בתנאי',
+  'ביטוח', 'פוליסה', 'פוליסת', 'מבוטח', 'מבוטחת', 'מבטח', 'חברה', 'חברת', 'תגמולי', 'תגמול',
+  'סכום', 'סכומי', 'תקופת', 'תקופה', 'כיסוי', 'טיפול', 'טיפולים', 'ניתוח', 'ניתוחים', 'אשפוז',
+  'הוצאות', 'החזר', 'תביעה', 'מקרה', 'פרק', 'סעיף', 'נספח', 'תנאי', 'תנאים', 'מספר', 'תאריך',
+  'שם', 'זכאי', 'זכאית', 'ישולם', 'ישלם', 'יכוסה', 'מכוסה', 'בריאות', 'חיים', 'שירות', 'שירותי',
+  'רופא', 'מומחה', 'תרופות', 'השתתפות', 'עצמית', 'מקסימום', 'תקרה', 'אישור', 'מראש', 'הסכם',
+  'ספק', 'ספקי', 'לשנה', 'שנה', 'שנים', 'חודשים', 'ימים', 'יום', 'אחד', 'אחת', 'כאמור', 'להלן',
+]);
+const HEBREW_PREFIXES = /^[הובלמשכ]/;
+const HEBREW_FINAL_LETTERS = 'ךםןףץ';
+
+// Brackets swap sides when a line is flipped
+const MIRRORED_CHARS = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+// Left-to-right runs that keep their order inside RTL text: Latin words (with the spaces and
+// punctuation between them) and numbers such as 50,000, 01/04/2021 or 80% (the flipped line
+// has the % in front). A number next to a Latin word is a separate run, as in the bidi algorithm.
+const LTR_RUN_PATTERN = /[A-Za-z](?:[A-Za-z0-9]|[\s.,:'&\-]+(?=[A-Za-z]))*|%?[0-9](?:[0-9]|[.,:\/\-](?=[0-9]))*/g;
+
+function isCommonHebrewWord(word) {
+  return HEBREW_COMMON_WORDS.has(word) ||
+    (HEBREW_PREFIXES.test(word) && HEBREW_COMMON_WORDS.has(word.slice(1)));
+}
+
+/**
+ * Evidence that a line is in logical (forward) or visual (reversed) order.
+ * Dictionary hits count both ways; a final letter (ך ם ן ף ץ) only ever ends a word,
+ * so one at the start of a word means the word was reversed.
+ */
+function scoreHebrewDirection(line) {
+  const score = { forward: 0, reversed: 0 };
+  for (const word of line.match(/[\u05D0-\u05EA]{2,}/g) || []) {
+    const backwards = [...word].reverse().join('');
+    if (word === backwards) continue;
+    if (isCommonHebrewWord(word)) score.forward++;
+    if (isCommonHebrewWord(backwards)) score.reversed++;
+    if (HEBREW_FINAL_LETTERS.includes(word[word.length - 1])) score.forward++;
+    if (HEBREW_FINAL_LETTERS.includes(word[0])) score.reversed++;
+  }
+  return score;
+}
+
+/**
+ * Turn one visually ordered line into logical order: flip the whole line, mirror brackets,
+ * then flip Latin and digit runs back so numbers and English read correctly
+ */
+function reverseVisualLine(line) {
+  const flipped = [...line].reverse().map(c => MIRRORED_CHARS[c] || c).join('');
+  return flipped.replace(LTR_RUN_PATTERN, run => [...run].reverse().join(''));
+}
+
+/**
+ * Detect lines extracted in visual (reversed) RTL order and put them back in logical order.
+ * Lines without any signal follow the majority of the page.
+ */
+function fixReversedHebrew(text) {
+  const lines = (text || '').split('\n');
+  const scores = lines.map(scoreHebrewDirection);
+  const page = scores.reduce((sum, s) => ({
+    forward: sum.forward + s.forward,
+    reversed: sum.reversed + s.reversed
+  }), { forward: 0, reversed: 0 });
+  const pageReversed = page.reversed >= 3 && page.reversed > page.forward * 2;
+  
+  let reversedLines = 0;
+  const fixed = lines.map((line, i) => {
+    const { forward, reversed } = scores[i];
+    const isReversed = forward + reversed > 0
+      ? reversed > forward
+      : pageReversed && /[\u05D0-\u05EA]/.test(line);
+    if (!isReversed) return line;
+    reversedLines++;
+    return reverseVisualLine(line);
+  });
+  
+  return { text: fixed.join('\n'), reversedLines };
+}
+
 /**
  * Compute SHA256 hash of a buffer
  */
@@ -833,6 +1073,100 @@ function computeSha256(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
+// Namespace for content-derived ids, so reprocessing the same input yields the same rows
+const STABLE_ID_NAMESPACE = 'a3c1f0d2-6b1e-4f4e-9a57-2f0c8e4b7d19';
+
+/**
+ * Deterministic UUID (v5) from the given parts
+ */
+function stableId(...parts) {
+  return uuidv5(parts.join(':'), STABLE_ID_NAMESPACE);
+}
+
+/**
+ * Map over items with at most `limit` calls of fn in flight. Results keep input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+// Word shingle size and Jaccard similarity above which two documents count as the same text
+const SHINGLE_SIZE = 5;
+const NEAR_DUPLICATE_THRESHOLD = 0.85;
+
+/**
+ * Set of overlapping word n-grams, ignoring case, punctuation and digits
+ * (dates and reference numbers differ between exports of the same policy)
+ */
+function textShingles(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Mark exact (same sha256) and near-duplicate documents with duplicate_of / duplicate_kind.
+ * The longest text of each group is kept as the original.
+ */
+function markDuplicateDocuments(processedDocs) {
+  const candidates = processedDocs
+    .filter(d => d.text && d.text.length >= 100)
+    .map(doc => ({ doc, shingles: null }));
+  // Stable sort: longest first, ties keep document order
+  candidates.sort((a, b) => b.doc.text.length - a.doc.text.length);
+  
+  const seen = [];
+  const originals = [];
+  for (const candidate of candidates) {
+    const exact = seen.find(o => o.doc.sha256 === candidate.doc.sha256);
+    seen.push(candidate);
+    if (exact) {
+      candidate.doc.duplicate_of = exact.doc.document_id;
+      candidate.doc.duplicate_kind = 'exact';
+      continue;
+    }
+    
+    candidate.shingles = textShingles(candidate.doc.text);
+    const near = originals.find(o => jaccardSimilarity(o.shingles, candidate.shingles) >= NEAR_DUPLICATE_THRESHOLD);
+    if (near) {
+      candidate.doc.duplicate_of = near.doc.document_id;
+      candidate.doc.duplicate_kind = 'near';
+      continue;
+    }
+    
+    originals.push(candidate);
+  }
+  
+  return processedDocs.filter(d => d.duplicate_of);
+}
+
 /**
  * Generate policy fingerprint from all document hashes
  */
@@ -888,11 +1222,165 @@ function detectBenefitLayer(text) {
   return 'conditional';
 }
 
+// Paragraph breaks: blank lines, or a new numbered/lettered list item
+const PARAGRAPH_SPLIT = /\n\s*\n|(?=\n\s*[\u05D0-\u05EA\d]+[\.)\-]\s)|(?=\n\s*[a-zA-Z\d]+[\.)\-]\s)/;
+
+// Amounts are typed so reimbursement levels can be compared across policies
+const AMOUNT_NUMBER = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+const AMOUNT_CURRENCY = String.raw`₪|ש["״]ח|שקלים|שקל|NIS|ILS|\$|USD|דולרים|דולר|€|EUR|אירו|יורו`;
+
+const CURRENCY_CODES = [
+  ['ILS', /₪|ש["״]ח|שקל|NIS|ILS/],
+  ['USD', /\$|USD|דולר/],
+  ['EUR', /€|EUR|אירו|יורו/],
+];
+
+// Money before or after its currency, percentages (also "%80" from reversed RTL text),
+// and ranges such as "1,000-5,000 ₪" or "בין 1,000 ל-5,000 ₪"
+const AMOUNT_TOKEN_PATTERNS = {
+  range: new RegExp(String.raw`(?:בין\s+|between\s+)?(${AMOUNT_NUMBER})\s*(?:[-–]|ל-?|and|to)\s*(${AMOUNT_NUMBER})\s*(${AMOUNT_CURRENCY})`, 'g'),
+  money: new RegExp(String.raw`(${AMOUNT_CURRENCY})\s?(${AMOUNT_NUMBER})|(${AMOUNT_NUMBER})\s*(${AMOUNT_CURRENCY})`, 'g'),
+  percent: new RegExp(String.raw`(${AMOUNT_NUMBER})\s*(?:%|אחוז(?:ים)?|percent)|%\s?(${AMOUNT_NUMBER})`, 'g'),
+  // A bare number right after a cap phrase ("up to 50,000") is a cap in an unstated currency
+  bareCap: new RegExp(String.raw`(?:עד\s+לסכום\s+של|עד\s+לסך\s+של|up\s+to|maximum\s+of|מקסימום|תקרה\s+של)\s*(${AMOUNT_NUMBER})(?![\d,.]*\s*(?:%|${AMOUNT_CURRENCY}))`, 'gi'),
+};
+
+// What a number is, from the words just before it. Deductibles are tested first
+// ("השתתפות עצמית של עד 500 ₪" is a deductible, not a cap).
+const AMOUNT_KIND_CUES = [
+  ['deductible', /(?:השתתפות\s+עצמית|השתתפות|דמי\s+השתתפות|deductible|excess|co-?pay(?:ment)?)[^.\d\n]{0,30}$/i],
+  ['cap', /(?:עד|תקר(?:ה|ת)|מקסימום|לא\s+יעלה\s+על|לא\s+יותר\s+מ|up\s+to|maximum|max\.?|limit(?:ed)?|not\s+(?:to\s+)?exceed(?:ing)?)[^.\d\n]{0,25}$/i],
+];
+
+// What a number is counted per, from the words just after it ("ליום", "per event", "לכל תקופת הביטוח")
+const AMOUNT_BASIS_LEAD = String.raw`^[\s,]*(?:(?:per|a|an|each|for\s+each|עבור|בגין)\s+)?[לב]?(?:כל\s+)?`;
+const AMOUNT_BASIS_PATTERNS = [
+  ['lifetime', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:תקופת\s+(?:ה)?ביטוח|החיים|lifetime|the\s+(?:whole|entire)\s+(?:policy|period))`, 'i')],
+  ['per_day', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:יום|לילה|day|night|daily)`, 'i')],
+  ['per_event', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:מקרה|אירוע|תביעה|event|occurrence|claim|incident)`, 'i')],
+  ['per_treatment', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:טיפול|ביקור|מפגש|ניתוח|treatment|visit|session|procedure)`, 'i')],
+  ['per_month', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:חודש|month|monthly)`, 'i')],
+  ['per_year', new RegExp(AMOUNT_BASIS_LEAD + String.raw`(?:שנה|שנת|year|annual(?:ly)?)`, 'i')],
+];
+
+// Joins a percentage to the cap after it: "80% up to 5,000 ₪", "80% ועד 5,000 ₪"
+const PERCENT_CAP_JOIN = /^[\s,]*(?:ו?עד\s+(?:ל)?(?:סך\s+של\s+|סכום\s+של\s+)?|ובתקרה\s+של\s+|בתקרה\s+של\s+|(?:and\s+)?up\s+to\s+|(?:with\s+a\s+)?(?:maximum|max\.?)\s+(?:of\s+)?)$/i;
+
+// Linkage to the consumer price index, quoted as a note on the amounts
+const INDEX_LINKAGE_PATTERN = /צמוד(?:ים|ה|ות)?\s+(?:ל)?מדד|הצמדה\s+(?:ל)?מדד|(?:linked|indexed)\s+to\s+(?:the\s+)?(?:consumer\s+price\s+)?index|index[- ]linked/i;
+
+function parseAmountNumber(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+function currencyCode(text) {
+  return CURRENCY_CODES.find(([, pattern]) => pattern.test(text || ''))?.[0] || null;
+}
+
+function amountKind(before) {
+  return AMOUNT_KIND_CUES.find(([, pattern]) => pattern.test(before))?.[0] || 'amount';
+}
+
+/**
+ * Basis of an amount from the text after it. Returns { basis, length } (length of the matched words).
+ */
+function amountBasis(after) {
+  for (const [basis, pattern] of AMOUNT_BASIS_PATTERNS) {
+    const match = after.match(pattern);
+    if (match) return { basis, length: match[0].length };
+  }
+  return { basis: null, length: 0 };
+}
+
+/**
+ * The sentence stating that amounts are linked to the price index, or null
+ */
+function detectIndexLinkage(text) {
+  const match = (text || '').match(INDEX_LINKAGE_PATTERN);
+  if (!match) return null;
+  const start = Math.max(text.lastIndexOf('.', match.index), text.lastIndexOf('\n', match.index)) + 1;
+  const stops = ['.', '\n'].map(stop => text.indexOf(stop, match.index)).filter(i => i >= 0);
+  const end = stops.length > 0 ? Math.min(...stops) : text.length;
+  return text.slice(start, end).trim().substring(0, 200);
+}
+
+/**
+ * Find typed amounts in text. Each value has:
+ * - raw, position, numeric
+ * - kind: cap | deductible | percentage | amount
+ * - unit: money | percent
+ * - currency: ILS | USD | EUR | null
+ * - basis: per_day | per_event | per_treatment | per_month | per_year | lifetime | null
+ * - min/max for ranges, and cap ({ raw, numeric, currency }) for "80% up to 5,000 ₪"
+ */
+function parseTypedAmounts(text) {
+  if (!text) return [];
+  
+  // Collect tokens; a range or money match hides the smaller matches inside it
+  const tokens = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+  for (const [type, pattern] of Object.entries(AMOUNT_TOKEN_PATTERNS)) {
+    for (const match of text.matchAll(pattern)) {
+      // bareCap matches its cue too; the token is the number at the end
+      const start = type === 'bareCap' ? match.index + match[0].length - match[1].length : match.index;
+      const end = match.index + match[0].length;
+      if (overlaps(start, end)) continue;
+      taken.push([start, end]);
+      tokens.push({ type, match, start, end });
+    }
+  }
+  tokens.sort((a, b) => a.start - b.start);
+  
+  const values = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const { type, match, start } = tokens[i];
+    let end = tokens[i].end;
+    const before = text.slice(Math.max(0, start - 40), start);
+    const value = { raw: '', numeric: null, position: start, kind: amountKind(before), unit: 'money', currency: null, basis: null };
+    
+    if (type === 'range') {
+      value.min = parseAmountNumber(match[1]);
+      value.max = parseAmountNumber(match[2]);
+      value.numeric = value.max;
+      value.currency = currencyCode(match[3]);
+    } else if (type === 'money') {
+      value.numeric = parseAmountNumber(match[2] || match[3]);
+      value.currency = currencyCode(match[1] || match[4]);
+    } else if (type === 'bareCap') {
+      value.numeric = parseAmountNumber(match[1]);
+      value.kind = 'cap';
+    } else {
+      value.numeric = parseAmountNumber(match[1] || match[2]);
+      value.unit = 'percent';
+      // A percentage is a reimbursement rate unless it is a deductible
+      if (value.kind !== 'deductible') value.kind = 'percentage';
+      
+      const next = tokens[i + 1];
+      if (next && (next.type === 'money' || next.type === 'bareCap') && PERCENT_CAP_JOIN.test(text.slice(end, next.start))) {
+        const capMatch = next.match;
+        value.cap = next.type === 'money'
+          ? { raw: text.slice(next.start, next.end), numeric: parseAmountNumber(capMatch[2] || capMatch[3]), currency: currencyCode(capMatch[1] || capMatch[4]) }
+          : { raw: capMatch[1], numeric: parseAmountNumber(capMatch[1]), currency: null };
+        end = next.end;
+        i++;
+      }
+    }
+    
+    const { basis, length } = amountBasis(text.slice(end, end + 40));
+    value.basis = basis;
+    value.raw = text.slice(start, end + length).trim();
+    values.push(value);
+  }
+  
+  return values;
+}
+
 /**
  * Extract amounts from text and determine their value state
  * @param {string} text - The text to extract amounts from
  * @param {boolean} hasSchedule - Whether a schedule document is present
- * @returns {object} Amounts object with values or unknown_schedule_required state
+ * @returns {object} Amounts object with typed values (see parseTypedAmounts) or unknown_schedule_required state
  */
 function extractAmounts(text, hasSchedule) {
   const amounts = {
@@ -905,26 +1393,233 @@ function extractAmounts(text, hasSchedule) {
   }
   
   // Only extract amounts if we have a schedule
-  const amountPatterns = [
-    /(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:₪|ש"ח|שקלים?)/g,
-    /(?:up to|עד לסכום של?)\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-    /(?:maximum|מקסימום|תקרה)\s*(?:of)?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-  ];
+  amounts.values = parseTypedAmounts(text);
   
-  for (const pattern of amountPatterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      amounts.values.push({
-        raw: match[0],
-        numeric: parseFloat(match[1].replace(/,/g, '')),
-        position: match.index
-      });
-    }
+  const indexNote = detectIndexLinkage(text);
+  if (indexNote) {
+    amounts.index_linked = true;
+    amounts.index_note = indexNote;
   }
   
   return amounts;
 }
 
+// Clauses that delay when a benefit can be claimed
+const WAITING_PERIOD_CUES = [
+  ['qualification', /תקופת\s+(?:ה)?אכשרה|qualif(?:ying|ication)\s+period/i],
+  ['waiting', /תקופת\s+(?:ה)?המתנה|waiting\s+period/i],
+  ['pre_existing', /מצב\s+רפואי\s+קודם|מחל(?:ה|ות)\s+קודמ(?:ת|ות)|pre-?existing\s+(?:medical\s+)?conditions?/i],
+];
+
+const DURATION_UNIT_DAYS = [
+  [/^(?:יום|ימים|days?)$/i, 1],
+  [/^(?:שבוע|שבועות|weeks?)$/i, 7],
+  [/^(?:חודש|חודשים|months?)$/i, 30],
+  [/^(?:שנה|שנים|years?)$/i, 365],
+];
+
+// Dual forms ("חודשיים" = two months)
+const DURATION_DUALS = { 'יומיים': 2, 'שבועיים': 14, 'חודשיים': 60, 'שנתיים': 730 };
+
+const HEBREW_NUMBER_WORDS = {
+  'אחד': 1, 'אחת': 1, 'שניים': 2, 'שתיים': 2, 'שני': 2, 'שתי': 2, 'שלושה': 3, 'שלוש': 3,
+  'ארבעה': 4, 'ארבע': 4, 'חמישה': 5, 'חמש': 5, 'שישה': 6, 'שש': 6, 'שבעה': 7, 'שבע': 7,
+  'שמונה': 8, 'תשעה': 9, 'תשע': 9, 'עשרה': 10, 'עשר': 10,
+};
+
+const DURATION_PATTERN = new RegExp(
+  String.raw`(?:\(?(\d+)\)?|(${Object.keys(HEBREW_NUMBER_WORDS).join('|')}))\s*-?\s*(ימים|יום|שבועות|שבוע|חודשים|חודש|שנים|שנה|days?|weeks?|months?|years?)(?![A-Za-z\u05D0-\u05EA])` +
+  String.raw`|(${Object.keys(DURATION_DUALS).join('|')})` +
+  // "תקופת אכשרה של שנה": a bare unit means one
+  String.raw`|של\s+(שנה|חודש|שבוע)(?![\u05D0-\u05EA]|[\s\d]*\d)`,
+  'gi'
+);
+
+/**
+ * Durations in a sentence, normalised to days. Returns [{ days, raw, index }].
+ */
+function parseDurations(sentence) {
+  const durations = [];
+  for (const match of sentence.matchAll(DURATION_PATTERN)) {
+    const [raw, digits, word, unit, dual, bareUnit] = match;
+    let days;
+    if (dual) {
+      days = DURATION_DUALS[dual];
+    } else {
+      const count = digits ? parseInt(digits, 10) : (word ? HEBREW_NUMBER_WORDS[word] : 1);
+      const unitDays = DURATION_UNIT_DAYS.find(([pattern]) => pattern.test(unit || bareUnit))[1];
+      days = count * unitDays;
+    }
+    durations.push({ days, raw: raw.replace(/^של\s+/, ''), index: match.index });
+  }
+  return durations;
+}
+
+/**
+ * Sentences of a clause with their offsets (a dot inside a number, e-mail address or website
+ * does not end a sentence)
+ */
+function splitSentences(text) {
+  return Array.from(text.matchAll(/(?:[^.;!?\n]|\.(?=\S))+[.;!?]?/g), match => ({
+    text: match[0].trim(),
+    offset: match.index + match[0].length - match[0].trimStart().length,
+  })).filter(sentence => sentence.text);
+}
+
+/**
+ * Qualification, waiting and pre-existing condition periods stated in a clause.
+ * Returns [{ kind, days, raw, quote, offset }], offset being where the quote starts in text.
+ */
+function extractWaitingPeriods(text) {
+  const periods = [];
+  for (const sentence of splitSentences(text || '')) {
+    for (const [kind, cue] of WAITING_PERIOD_CUES) {
+      const cueMatch = sentence.text.match(cue);
+      if (!cueMatch) continue;
+      const durations = parseDurations(sentence.text);
+      if (durations.length === 0) continue;
+      // The duration after the cue belongs to it; otherwise the nearest one before
+      const duration = durations.find(d => d.index > cueMatch.index) || durations[durations.length - 1];
+      if (periods.some(p => p.kind === kind && p.days === duration.days)) continue;
+      periods.push({ kind, days: duration.days, raw: duration.raw, quote: sentence.text, offset: sentence.offset });
+    }
+  }
+  return periods;
+}
+
+// Age limits, in completed years: "under 18" allows up to 17, "עד גיל 65" up to 65.
+// Each pattern yields [min, max] from its match.
+const AGE_PATTERNS = [
+  [/(?:בגילאי|בגילים|גילאי|בין\s+הגילאים|between\s+(?:the\s+)?ages\s+(?:of\s+)?|aged?\s+)\s*(\d{1,3})\s*(?:-|–|עד|ל-?|and|to)\s*(\d{1,3})/i, m => [m[1], m[2]]],
+  [/(?:טרם\s+מלאו\s+(?:לו|לה|להם)\s+|מתחת\s+לגיל\s+|under\s+(?:the\s+)?(?:age\s+(?:of\s+)?)?|younger\s+than\s+|below\s+(?:the\s+)?age\s+(?:of\s+)?)(\d{1,3})/i, m => [null, m[1] - 1]],
+  [/(?:עד\s+(?:ל)?גיל\s+|up\s+to\s+(?:the\s+)?age\s+(?:of\s+)?|until\s+(?:the\s+)?age\s+(?:of\s+)?)(\d{1,3})/i, m => [null, m[1]]],
+  [/(?:(?<!טרם\s)(?:ש)?מלאו\s+(?:לו|לה|להם)\s+|מגיל\s+|מעל\s+(?:ל)?גיל\s+|from\s+(?:the\s+)?age\s+(?:of\s+)?|over\s+the\s+age\s+of\s+|aged?\s+(?=\d{1,3}\s+(?:or|and)\s+(?:older|over|above)))(\d{1,3})/i, m => [m[1], null]],
+];
+
+// Who a benefit covers
+const INSURED_ROLE_PATTERNS = [
+  ['policyholder', /המבוטח\s+הראשי|בעל(?:ת)?\s+הפוליסה|policy\s*holder|main\s+insured|principal\s+insured/i],
+  ['spouse', /בן\s*\/\s*בת\s+(?:ה)?זוג|בן\s+(?:ה)?זוג|בת\s+(?:ה)?זוג|\bspouses?\b|\bpartners?\b/i],
+  ['child', /ילדי\s+(?:ה)?מבוטח|ילד(?:ים|ה)?\s+(?:ה)?מבוטח|ילד(?:ים|ה)?\s+(?:שטרם|עד\s+גיל|מתחת\s+לגיל)|לילד(?:ים|יו|יה)?(?![\u05D0-\u05EA])|ילדיו|ילדיה|ילדיהם|\b(?:children|child|dependents?)\b/i],
+  ['parent', /הורי\s+(?:ה)?מבוטח|להורים|parents?\s+of\s+(?:the\s+)?insured|\bparents\b/i],
+];
+
+// Conditions that must be met before a claim
+const CONDITION_PATTERNS = {
+  pre_approval_required: /(?:באישור|אישור|בכפוף\s+לאישור)\s+(?:ה?מבטח\s+|החברה\s+)?מראש|התחייבות\s+מראש|prior\s+(?:written\s+)?(?:approval|authori[sz]ation)|pre-?approv(?:al|ed)|pre-?authori[sz](?:ation|ed)|approved\s+in\s+advance/i,
+  in_network_only: /(?:ספק(?:י)?|רופא(?:י)?|מוסד(?:ות)?|בית\s+חולים|בתי\s+חולים|נותני\s+שירות|נותן\s+שירות)\s+(?:ה)?(?:שירות\s+)?(?:ש)?(?:בהסכם|בהסדר)|(?:בהסכם|בהסדר)\s+עם\s+(?:ה)?מבטח|in-?network|network\s+(?:providers?|hospitals?|doctors?|physicians?)|participating\s+providers?|preferred\s+providers?/i,
+  // "referred by a physician", not "preferred providers" or "costs referred to in section 3"
+  referral_required: /הפני(?:ה|ית|יה)(?!\s+ל(?:סעיף|פרק))|מכתב\s+הפניה|\breferrals?\b|\breferred\s+by\b/i,
+};
+
+// A condition stated as not needed in its own sentence: "ללא צורך באישור מראש", "without
+// prior approval", "No referral is required". NEGATION_BEFORE is tried on the text just before
+// the condition, NEGATION_AFTER on the text just after it.
+const CONDITION_NEGATION_BEFORE = /(?:ללא|בלי|אין\s+צורך|לא\s+נדרש(?:ת|ים)?|\bwithout|\bno\s+need\s+for|\bno)(?:\s+\S+){0,2}\s*$/i;
+const CONDITION_NEGATION_AFTER = /^[^,;]{0,30}?(?:\b(?:is|are)\s+not\s+(?:required|needed|necessary)|\bnot\s+required|אינ(?:ו|ה|ם)\s+(?:נדרש|דרוש)|לא\s+(?:נדרש|יידרש|דרוש))/i;
+
+// Units that make a number a period, not an age: "aged 5 to 120 days"
+const AGE_UNIT_MISMATCH = /^\s*(?:days?|weeks?|months?|ימים|יום|שבוע(?:ות)?|חודש(?:ים)?)(?![A-Za-z\u05D0-\u05EA])/i;
+
+// Out-of-network cover means the network is not the only option
+const OUT_OF_NETWORK_PATTERN = /שאינ(?:ו|ם)\s+בהסכם|שאינ(?:ו|ם)\s+בהסדר|שלא\s+בהסדר|שלא\s+בהסכם|out[- ]of[- ]network|non-?network/i;
+
+/**
+ * Age, role and claim conditions stated in a clause, each with the sentence that states it.
+ * Returns { age_min, age_max, insured_roles, pre_approval_required, in_network_only, referral_required },
+ * only the ones found, each { value, quote, offset } (offset of the quote in text).
+ */
+function extractEligibilityConstraints(text) {
+  const constraints = {};
+  const sentences = splitSentences(text || '');
+  const set = (key, value, sentence) => {
+    if (constraints[key] === undefined) constraints[key] = { value, quote: sentence.text, offset: sentence.offset };
+  };
+  
+  for (const sentence of sentences) {
+    for (const [pattern, bounds] of AGE_PATTERNS) {
+      const match = sentence.text.match(pattern);
+      if (!match) continue;
+      if (AGE_UNIT_MISMATCH.test(sentence.text.slice(match.index + match[0].length))) continue;
+      const [min, max] = bounds(match).map(n => (n === null ? null : Number(n)));
+      if (min !== null && min >= 0 && min <= 120) set('age_min', min, sentence);
+      if (max !== null && max >= 0 && max <= 120) set('age_max', max, sentence);
+      break;
+    }
+    
+    const roles = INSURED_ROLE_PATTERNS.filter(([, pattern]) => pattern.test(sentence.text)).map(([role]) => role);
+    if (roles.length > 0 && !constraints.insured_roles) set('insured_roles', roles, sentence);
+    
+    for (const [key, pattern] of Object.entries(CONDITION_PATTERNS)) {
+      const match = sentence.text.match(pattern);
+      if (!match) continue;
+      const before = sentence.text.slice(0, match.index);
+      const after = sentence.text.slice(match.index + match[0].length);
+      if (CONDITION_NEGATION_BEFORE.test(before) || CONDITION_NEGATION_AFTER.test(after)) continue;
+      set(key, true, sentence);
+    }
+  }
+  
+  if (constraints.in_network_only && OUT_OF_NETWORK_PATTERN.test(text)) delete constraints.in_network_only;
+  return constraints;
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Give every benefit the policy-wide periods it doesn't state itself, and, when the
+ * policy start date is known, the date each period ends and the benefit becomes active.
+ * Pre-existing condition windows limit claims for earlier conditions, not the benefit itself.
+ */
+function applyWaitingPeriods(benefits, policyPeriods, policyStartDate) {
+  const startDate = /^\d{4}-\d{2}-\d{2}$/.test(policyStartDate || '') ? policyStartDate : null;
+  
+  for (const benefit of benefits) {
+    if (benefit.status === 'excluded') continue;
+    const own = benefit.eligibility?.waiting_periods || [];
+    const inherited = policyPeriods.filter(p => !own.some(o => o.kind === p.kind)).map(p => ({ ...p }));
+    const periods = [...own, ...inherited];
+    if (periods.length === 0) continue;
+    
+    benefit.eligibility = { ...benefit.eligibility, waiting_periods: periods };
+    if (!startDate) continue;
+    
+    for (const period of periods) {
+      period.active_from = addDays(startDate, period.days);
+    }
+    const delays = periods.filter(p => p.kind !== 'pre_existing');
+    if (delays.length > 0) {
+      benefit.eligibility.active_from = addDays(startDate, Math.max(...delays.map(p => p.days)));
+    }
+  }
+}
+
+/**
+ * Evidence span for a quote at a document-level offset
+ */
+function documentQuoteEvidence(doc, offset, quote) {
+  const position = locateInPages(offset, quote.length, doc.page_meta);
+  const page = position?.page || 1;
+  const pageMeta = doc.page_meta?.[page - 1];
+  const confidence = pageMeta?.ocr ? Math.round(0.85 * pageMeta.ocr_confidence * 100) / 100 : 0.85;
+  const span = enrichEvidenceSpan(
+    doc.page_texts?.[page - 1] || doc.text,
+    quote,
+    doc.document_id,
+    doc.display_name || 'Policy Document',
+    doc.doc_type || 'policy',
+    page,
+    confidence,
+    position
+  );
+  if (pageMeta?.ocr) span.ocr = true;
+  return span;
+}
+
 /**
  * Generate a concise, human-readable benefit title from a raw policy paragraph.
  * Strips clause numbers, legal boilerplate prefixes, and extracts the core right description.
@@ -1055,25 +1750,55 @@ function generateBenefitSummary(paragraph) {
   return normalizeHebrewText(text.substring(0, 200) + '...');
 }
 
+/**
+ * Find the page holding text[start, start + length) and the quote's position on that page:
+ * { page, char_start, char_end, boxes } with offsets into the page text and the boxes of
+ * the lines it covers. Returns null when page offsets are not available.
+ */
+function locateInPages(start, length, pageMeta) {
+  if (start < 0 || !pageMeta?.length || pageMeta[0].char_start === undefined) return null;
+  
+  const index = pageMeta.findIndex(p => start >= p.char_start && start <= p.char_end);
+  if (index < 0) return null;
+  
+  const meta = pageMeta[index];
+  const charStart = start - meta.char_start;
+  // A paragraph running onto the next page is cut at the end of this one
+  const charEnd = Math.min(charStart + length, meta.char_end - meta.char_start);
+  const boxes = (meta.lines || [])
+    .filter(line => line.width !== undefined && line.end > charStart && line.start < charEnd)
+    .map(({ x, y, width, height }) => ({ x, y, width, height }));
+  
+  return { page: index + 1, char_start: charStart, char_end: charEnd, boxes };
+}
+
 /**
  * Extract benefits using paragraph-based chunking to keep complete thoughts together.
  * Instead of splitting on every sentence, we split on paragraph breaks (double newlines
  * or heading patterns) and keep each clause as a single benefit.
  */
-function extractBenefits(text, documentId, pageTexts, displayName, docType, hasSchedule) {
+function extractBenefits(text, documentId, pageTexts, displayName, docType, hasSchedule, pageMeta) {
   if (!text) return [];
   
   const benefits = [];
   
   // Split by paragraphs (double newlines, or numbered/lettered list items)
   // This keeps complete clauses together instead of fragmenting sentences
-  const paragraphs = text.split(/\n\s*\n|(?=\n\s*[\u05D0-\u05EA\d]+[\.)\-]\s)|(?=\n\s*[a-zA-Z\d]+[\.)\-]\s)/);
+  const paragraphs = text.split(PARAGRAPH_SPLIT);
   
   // Track found benefits to avoid exact duplicates
   const foundQuotes = new Set();
   
+  // Offset of each paragraph in text, for exact page and position lookup
+  let cursor = 0;
+  
   for (let i = 0; i < paragraphs.length; i++) {
-    const paragraph = paragraphs[i]?.trim();
+    const piece = paragraphs[i] || '';
+    const pieceStart = text.indexOf(piece, cursor);
+    if (pieceStart >= 0) cursor = pieceStart + piece.length;
+    
+    const paragraph = piece.trim();
+    const paragraphStart = pieceStart >= 0 ? pieceStart + piece.indexOf(paragraph) : -1;
     
     // Skip very short or very long paragraphs
     if (!paragraph || paragraph.length < 30 || paragraph.length > 2000) continue;
@@ -1096,7 +1821,12 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
     // Find which page this paragraph is on
     let page = 1;
     let pageText = text;
-    if (pageTexts && Array.isArray(pageTexts)) {
+    const position = locateInPages(paragraphStart, paragraph.length, pageMeta);
+    if (position) {
+      page = position.page;
+      pageText = pageTexts?.[page - 1] ?? text;
+    } else if (pageTexts && Array.isArray(pageTexts)) {
+      // Documents parsed without page offsets (e.g. from an older checkpoint)
       for (let p = 0; p < pageTexts.length; p++) {
         if (pageTexts[p] && pageTexts[p].includes(paragraph.substring(0, 50))) {
           page = p + 1;
@@ -1106,6 +1836,10 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
       }
     }
     
+    // OCR text is less reliable than a text layer, so its evidence gets lower confidence
+    const ocrPage = pageMeta?.[page - 1]?.ocr ? pageMeta[page - 1] : null;
+    const confidence = ocrPage ? Math.round(0.85 * ocrPage.ocr_confidence * 100) / 100 : 0.85;
+    
     // Create enriched evidence span
     const evidenceSpan = enrichEvidenceSpan(
       pageText,
@@ -1114,8 +1848,10 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
       displayName || 'Policy Document',
       docType || 'policy',
       page,
-      0.85
+      confidence,
+      position
     );
+    if (ocrPage) evidenceSpan.ocr = true;
     
     // Use the evidence heading as the primary title source (it's the nearest
     // section heading and is almost always a clean, human-readable phrase).
@@ -1126,7 +1862,7 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
       : generateBenefitTitle(paragraph);
     
     // Detect if this is an included benefit or an exclusion
-    const benefitId = uuidv4();
+    const benefitId = stableId(documentId, i, paragraph);
     const benefitStatus = detectBenefitStatus(paragraph);
     
     // Extract amounts with schedule awareness
@@ -1134,6 +1870,28 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
       ? extractAmounts(paragraph, hasSchedule) 
       : {};
     
+    // Conditions quoted from the paragraph get their own evidence spans
+    const quoteEvidence = (offset, quote) => {
+      const quotePosition = paragraphStart >= 0 ? locateInPages(paragraphStart + offset, quote.length, pageMeta) : null;
+      const span = enrichEvidenceSpan(pageText, quote, documentId, displayName || 'Policy Document', docType || 'policy', page, confidence, quotePosition);
+      if (ocrPage) span.ocr = true;
+      return span;
+    };
+    
+    const eligibility = {};
+    for (const [key, { offset, ...constraint }] of Object.entries(extractEligibilityConstraints(paragraph))) {
+      eligibility[key] = { ...constraint, evidence: quoteEvidence(offset, constraint.quote) };
+    }
+    const waitingPeriods = extractWaitingPeriods(paragraph)
+      .map(({ offset, ...period }) => ({ ...period, scope: 'benefit', evidence: quoteEvidence(offset, period.quote) }));
+    if (waitingPeriods.length > 0) eligibility.waiting_periods = waitingPeriods;
+    
+    // Procedure clauses are read as a whole during Harvest (findProcedureSteps)
+    const actionableSteps = CLAIM_PROCEDURE_CUES.test(paragraph) ? [] : orderClaimSteps(extractClaimSteps(paragraph, false)
+      .map(({ offset, ...step }) => ({ ...step, evidence: quoteEvidence(offset, step.quote) })));
+    
+    const { tags, tag_scores } = tagBenefit(normalizeHebrewText(title), paragraph);
+    
     const benefit = {
       benefit_id: benefitId,
       layer: detectBenefitLayer(paragraph),
@@ -1143,10 +1901,11 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
       evidence_set: {
         spans: [evidenceSpan]
       },
-      tags: [],
-      eligibility: {},
+      tags,
+      tag_scores,
+      eligibility,
       amounts: amounts,
-      actionable_steps: []
+      actionable_steps: actionableSteps
     };
     
     benefits.push(benefit);
@@ -1155,755 +1914,4084 @@ function extractBenefits(text, documentId, pageTexts, displayName, docType, hasS
   // Log summary
   const included = benefits.filter(b => b.status === 'included').length;
   const excluded = benefits.filter(b => b.status === 'excluded').length;
-  console.log(`     📊 Benefits extracted: ${included} included, ${excluded} excluded`);
+  logger.debug('Benefits extracted from document', { document_id: documentId, included, excluded });
   
   return benefits;
 }
 
 // ============================================================
-// MISSING REQUIREMENTS DETECTION
+// SCHEDULE TABLES
 // ============================================================
 
+// Header cells of a schedule's coverage table, tested in this order
+// ("sum insured" must win over "insured", "תקרת כיסוי" over "כיסוי")
+const SCHEDULE_COLUMNS = [
+  ['sum_insured', /סכום\s+(?:ה)?ביטוח|גבול\s+(?:ה)?אחריות|תקר(?:ה|ת)|sum\s+insured|amount\s+insured|limit|maximum/i],
+  ['deductible', /השתתפות|deductible|excess|co-?pay/i],
+  ['premium', /פרמיה|דמי\s+(?:ה)?ביטוח|premium/i],
+  ['period', /תקופ(?:ה|ת)|תוקף|period|valid|term|dates?$/i],
+  ['insured_person', /מבוטח|insured|member|^name$/i],
+  ['coverage_name', /כיסוי|פרק|נספח|הרחבה|תוכנית|מסלול|cover|benefit|section|rider|plan/i],
+];
+
+// Columns holding money amounts
+const SCHEDULE_AMOUNT_COLUMNS = ['sum_insured', 'deductible', 'premium'];
+
+// "Field: value" lines outside the table that apply to every row
+const SCHEDULE_FIELD_LINES = {
+  insured_person: /^(?:שם\s+(?:ה)?מבוטח|insured(?:\s+name)?|name\s+of\s+(?:the\s+)?insured)\s*[:\-]\s*(.+)$/i,
+  period: /^(?:תקופת\s+(?:ה)?ביטוח|policy\s+period|period\s+of\s+insurance)\s*[:\-]\s*(.+)$/i,
+};
+
+// Words too common in coverage names to tell coverages apart
+const COVERAGE_STOP_WORDS = new Set([
+  'כיסוי', 'ביטוח', 'נספח', 'פרק', 'הרחבה', 'בגין', 'של', 'עבור', 'או',
+  'coverage', 'cover', 'insurance', 'rider', 'for', 'of', 'the', 'and',
+]);
+
+// Share of a coverage name's words a benefit title must contain to be linked to the row
+const SCHEDULE_LINK_THRESHOLD = 0.5;
+
 /**
- * Check for missing requirements and return structured missing_requirements array
+ * Split a table line into cells on tabs or runs of 2+ spaces. Returns [{ text, start }].
  */
-function detectMissingRequirements(documents, processedDocs) {
-  const missingRequirements = [];
-  
-  // Check for schedule
-  const hasSchedule = documents.some(d => d.doc_type === 'schedule');
-  if (!hasSchedule) {
-    missingRequirements.push({
-      code: 'schedule_required',
-      severity: 'warning',
-      message: 'לא זוהה דף פרטי ביטוח (Policy Schedule). סכומים ותקרות לא יוצגו.'
-    });
-  }
-  
-  // Check for policy document - now a warning, not a blocker
-  // The system will still process any document and extract what it can
-  const hasPolicy = documents.some(d => d.doc_type === 'policy');
-  if (!hasPolicy) {
-    missingRequirements.push({
-      code: 'policy_not_found',
-      severity: 'warning',
-      message: 'לא זוהה מסמך פוליסה ראשי - הזכויות שיופקו עלולות להיות חלקיות.'
-    });
-  }
-  
-  // Check for unreadable documents
-  for (const doc of documents) {
-    const processed = processedDocs.find(p => p.document_id === doc.document_id);
-    if (!processed || !processed.text || processed.text.length < 100) {
-      missingRequirements.push({
-        code: 'document_unreadable',
-        severity: 'warning',
-        message: `לא ניתן היה לקרוא את המסמך: ${doc.display_name}`,
-        related_document_id: doc.document_id
-      });
-    }
+function splitTableCells(line) {
+  const cells = [];
+  const separator = /\t+| {2,}/g;
+  let start = 0;
+  let match;
+  while ((match = separator.exec(line)) !== null) {
+    cells.push({ text: line.slice(start, match.index), start });
+    start = match.index + match[0].length;
   }
-  
-  return missingRequirements;
+  cells.push({ text: line.slice(start), start });
+  return cells
+    .map(cell => ({ text: cell.text.trim(), start: cell.start + cell.text.length - cell.text.trimStart().length }))
+    .filter(cell => cell.text);
 }
 
-// ============================================================
-// PIPELINE STAGES
-// ============================================================
-
-async function updateRunStatus(run_id, status, stage, extra = {}) {
-  const { error } = await supabase
-    .from('runs')
-    .update({ 
-      status, 
-      stage, 
-      updated_at: new Date().toISOString(),
-      ...extra
-    })
-    .eq('run_id', run_id);
-  
-  if (error) {
-    console.error(`     ⚠️ Failed to update run status: ${error.message}`);
-  }
+/**
+ * Column key per header cell, or null if the line is not a coverage table header
+ */
+function matchScheduleHeader(cells) {
+  if (cells.length < 2 || cells.some(cell => /\d/.test(cell.text))) return null;
+  const columns = cells.map(cell => SCHEDULE_COLUMNS.find(([, pattern]) => pattern.test(cell.text))?.[0] || null);
+  const hasAmounts = columns.some(column => SCHEDULE_AMOUNT_COLUMNS.includes(column));
+  return columns.includes('coverage_name') && hasAmounts ? columns : null;
 }
 
-async function stageIntake(run_id) {
-  console.log('  1️⃣  Intake - Fetching documents...');
-  await updateRunStatus(run_id, 'queued', 'intake');
-  
-  // Fetch documents for this run
-  const { data: documents, error } = await supabase
-    .from('documents')
-    .select('*')
-    .eq('run_id', run_id);
-  
-  if (error) {
-    throw new Error(`Failed to fetch documents: ${error.message}`);
-  }
-  
-  if (!documents || documents.length === 0) {
-    throw new Error('No documents found for this run');
+/**
+ * Parse a money cell ("1,000,000 ₪", "20%", "ללא", "-") into a typed amount (see parseTypedAmounts).
+ * The column decides the kind; headerCurrency applies to bare numbers ("סכום ביטוח (₪)").
+ */
+function parseScheduleAmount(cell, field, headerCurrency) {
+  if (!cell || /^[-–—]+$/.test(cell)) return null;
+  const kind = field === 'sum_insured' ? 'cap' : field;
+  
+  const [typed] = parseTypedAmounts(cell);
+  if (typed) {
+    const { position: _position, ...value } = typed;
+    const percentKind = field === 'deductible' ? 'deductible' : 'percentage';
+    return { ...value, raw: cell, kind: value.unit === 'percent' ? percentKind : kind, currency: value.currency || headerCurrency };
   }
   
-  const processedDocs = [];
-  const documentHashes = [];
-  
-  // Check for schedule presence
-  const hasSchedule = documents.some(d => d.doc_type === 'schedule');
-  console.log(`     📋 Schedule document present: ${hasSchedule ? 'Yes' : 'No'}`);
-  
-  for (const doc of documents) {
-    console.log(`     📄 Processing: ${doc.display_name || doc.storage_key}`);
+  // A number without a currency, or a word for none
+  const number = cell.match(new RegExp(AMOUNT_NUMBER));
+  const numeric = number ? parseAmountNumber(number[0]) : (/^(?:ללא|אין|none|nil)$/i.test(cell) ? 0 : null);
+  return { raw: cell, numeric, kind, unit: 'money', currency: headerCurrency, basis: null };
+}
+
+function parseSchedulePeriod(cell) {
+  if (!cell) return null;
+  const dates = cell.match(/\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4}|\d{4}-\d{1,2}-\d{1,2}/g) || [];
+  return {
+    raw: cell,
+    start: dates[0] ? formatDateForForm(dates[0]) : undefined,
+    end: dates[1] ? formatDateForForm(dates[1]) : undefined,
+  };
+}
+
+/**
+ * Parse the coverage table(s) of a schedule document into rows:
+ * { coverage_name, sum_insured, deductible, premium, period, insured_person, page, quote, position, table_lines }.
+ * A table starts at a header line naming a coverage column and at least one amount column,
+ * and runs until the first line that is not a row.
+ */
+function parseScheduleRows(doc) {
+  const rows = [];
+  const defaults = {};
+  
+  (doc.page_texts || []).forEach((pageText, pageIndex) => {
+    const pageStart = doc.page_meta?.[pageIndex]?.char_start;
+    let header = null;
+    let headerCurrencies = [];
+    let headerLine = null;
+    let lineStart = 0;
     
-    try {
-      // Download PDF from storage
-      const { data: fileData, error: downloadError } = await supabase.storage
-        .from('policy-documents')
-        .download(doc.storage_key);
+    for (const line of (pageText || '').split('\n')) {
+      const start = lineStart;
+      lineStart += line.length + 1;
       
-      if (downloadError) {
-        console.error(`     ⚠️ Failed to download ${doc.display_name}: ${downloadError.message}`);
-        continue;
+      const trimmed = line.trim();
+      for (const [field, pattern] of Object.entries(SCHEDULE_FIELD_LINES)) {
+        const match = trimmed.match(pattern);
+        if (match && !defaults[field]) defaults[field] = match[1].trim();
       }
+      defaults.index_note ||= detectIndexLinkage(trimmed);
       
-      // Get buffer and compute SHA256
-      const buffer = Buffer.from(await fileData.arrayBuffer());
-      const sha256 = computeSha256(buffer);
-      documentHashes.push(sha256);
-      
-      // Parse PDF
-      const pdfData = await pdf(buffer);
-      
-      // Extract text per page
-      const pageTexts = [];
-      const pages = pdfData.text.split(/\f/); // Form feed typically separates pages
-      for (const pageText of pages) {
-        pageTexts.push(normalizeHebrewText(pageText));
+      const cells = splitTableCells(line);
+      const columns = matchScheduleHeader(cells);
+      if (columns) {
+        header = columns;
+        headerCurrencies = cells.map(cell => currencyCode(cell.text));
+        headerLine = pageStart !== undefined ? { offset: pageStart + start, length: line.length } : null;
+        continue;
+      }
+      // Rows of an HTML table are separated by blank lines
+      if (!header || !trimmed) continue;
+      if (cells.length < 2 || !cells.some(cell => /\d/.test(cell.text))) {
+        header = null;
+        continue;
       }
       
-      processedDocs.push({
-        document_id: doc.document_id,
-        display_name: doc.display_name || 'Unknown Document',
-        doc_type: doc.doc_type || 'policy',
-        text: normalizeHebrewText(pdfData.text),
-        page_texts: pageTexts.length > 0 ? pageTexts : [normalizeHebrewText(pdfData.text)],
-        pages: pageTexts.length || 1,
-        sha256: sha256
+      const row = {};
+      const currencies = {};
+      header.forEach((column, i) => {
+        if (column && cells[i] && !row[column]) {
+          row[column] = cells[i].text;
+          currencies[column] = headerCurrencies[i];
+        }
       });
+      if (!row.coverage_name || !/[A-Za-z\u05D0-\u05EA]/.test(row.coverage_name)) continue;
       
-      // Update document with page count (sha256 would need DB column)
-      await supabase
-        .from('documents')
-        .update({ pages: pageTexts.length || 1 })
-        .eq('document_id', doc.document_id);
-        
-    } catch (err) {
-      console.error(`     ⚠️ Error processing ${doc.display_name}: ${err.message}`);
+      const quoteStart = start + cells[0].start;
+      const quoteEnd = start + cells[cells.length - 1].start + cells[cells.length - 1].text.length;
+      rows.push({
+        document_id: doc.document_id,
+        coverage_name: row.coverage_name,
+        sum_insured: parseScheduleAmount(row.sum_insured, 'sum_insured', currencies.sum_insured),
+        deductible: parseScheduleAmount(row.deductible, 'deductible', currencies.deductible),
+        premium: parseScheduleAmount(row.premium, 'premium', currencies.premium),
+        period: parseSchedulePeriod(row.period),
+        insured_person: row.insured_person || null,
+        page: pageIndex + 1,
+        quote: pageText.slice(quoteStart, quoteEnd),
+        position: pageStart !== undefined
+          ? locateInPages(pageStart + quoteStart, quoteEnd - quoteStart, doc.page_meta)
+          : null,
+        // Document-level spans of the header and row lines, blanked out before harvesting
+        table_lines: pageStart !== undefined
+          ? [headerLine, { offset: pageStart + start, length: line.length }].filter(Boolean)
+          : [],
+      });
     }
-  }
-  
-  // Generate policy fingerprint
-  const policyFingerprint = generatePolicyFingerprint(documentHashes);
-  console.log(`     🔐 Policy fingerprint: ${policyFingerprint}`);
-  
-  // Extract policy metadata for auto-fill
-  const policyMetadata = extractPolicyMetadata(processedDocs);
-  console.log(`     📋 Extracted metadata:`, {
-    insurer: policyMetadata.insurerName || 'not found',
-    policyNo: policyMetadata.policyNumber || 'not found',
-    type: policyMetadata.policyType || 'not found',
   });
   
-  // Detect missing requirements
-  const missingRequirements = detectMissingRequirements(documents, processedDocs);
-  if (missingRequirements.length > 0) {
-    console.log(`     ⚠️ Missing requirements: ${missingRequirements.map(m => m.code).join(', ')}`);
+  // Fields stated once for the whole schedule fill rows that lack them
+  for (const row of rows) {
+    row.insured_person ||= defaults.insured_person || null;
+    row.period ||= parseSchedulePeriod(defaults.period);
+    row.index_note = defaults.index_note || null;
   }
-  
-  // Update run with missing_requirements and policy_metadata
-  await updateRunStatus(run_id, 'queued', 'intake', {
-    missing_requirements: missingRequirements.map(m => m.code),
-    policy_metadata: policyMetadata
-  });
-  
-  console.log(`     ✓ Extracted ${processedDocs.length} documents`);
-  
-  return {
-    documents: processedDocs,
-    hasSchedule,
-    policyFingerprint,
-    missingRequirements,
-    policyMetadata
-  };
+  return rows;
 }
 
-async function stageMap(run_id, intakeResult) {
-  console.log('  2️⃣  Map - Analyzing structure...');
-  await updateRunStatus(run_id, 'queued', 'map');
-  
-  const { documents } = intakeResult;
-  
-  if (!documents || !Array.isArray(documents)) {
-    console.log('     ⚠️ No documents to map');
-    return { ...intakeResult, sections: 0 };
-  }
-  
-  let totalSections = 0;
-  
-  for (const doc of documents) {
-    if (!doc.text) continue;
-    
-    // Extract headings to understand structure
-    const headings = extractHeadings(doc.text);
-    totalSections += headings.length;
-    
-    // Extract clause references
-    const clauses = extractClauseReferences(doc.text);
-    doc.clauses = clauses;
-    doc.headings = headings;
-  }
-  
-  console.log(`     ✓ Mapped ${totalSections} sections`);
-  return { ...intakeResult, sections: totalSections };
+/**
+ * Comparable words of a coverage name or title: lower-cased, one Hebrew prefix letter dropped
+ */
+function coverageTokens(text) {
+  return new Set((text || '')
+    .toLowerCase()
+    .split(/[^a-z\u05D0-\u05EA]+/)
+    .filter(word => word.length >= 2 && !COVERAGE_STOP_WORDS.has(word))
+    .map(word => (word.length > 3 ? word.replace(HEBREW_PREFIXES, '') : word)));
 }
 
-async function stageHarvest(run_id, mapResult) {
-  console.log('  3️⃣  Harvest - Extracting rights...');
-  await updateRunStatus(run_id, 'queued', 'harvest');
-  
-  const { documents, hasSchedule } = mapResult;
-  const benefits = [];
+/**
+ * Link schedule rows to the harvested benefits they refer to. A linked benefit takes its
+ * amounts from the schedule, each value pointing at the row's evidence span. Each benefit
+ * takes at most one row, the best-scoring one, so caps of different coverages don't mix.
+ * Returns the number of linked rows.
+ */
+function linkScheduleRows(benefits, rows, documents) {
+  const candidates = [];
+  rows.forEach((row, rowIndex) => {
+    const rowTokens = coverageTokens(row.coverage_name);
+    if (rowTokens.size === 0) return;
+    
+    for (const benefit of benefits) {
+      // Skip exclusions, and rows harvested from the schedule itself
+      if (benefit.status === 'excluded') continue;
+      if (benefit.evidence_set.spans.every(s => s.document_id === row.document_id)) continue;
+      const titleTokens = coverageTokens(benefit.title);
+      const summaryTokens = coverageTokens(benefit.summary);
+      let score = 0;
+      for (const token of rowTokens) {
+        if (titleTokens.has(token)) score += 1;
+        else if (summaryTokens.has(token)) score += 0.8;
+      }
+      score /= rowTokens.size;
+      if (score >= SCHEDULE_LINK_THRESHOLD) candidates.push({ row, rowIndex, benefit, score });
+    }
+  });
   
-  if (!documents || !Array.isArray(documents)) {
-    console.log('     ⚠️ No documents to harvest');
-    return { ...mapResult, benefits };
-  }
+  // Best pairs first; a row or benefit already paired is not used again
+  candidates.sort((a, b) => b.score - a.score || a.rowIndex - b.rowIndex);
+  const usedRows = new Set();
+  const usedBenefits = new Set();
+  let linked = 0;
   
-  for (const doc of documents) {
-    if (!doc.text) continue;
+  for (const { row, benefit } of candidates) {
+    if (usedRows.has(row) || usedBenefits.has(benefit)) continue;
+    usedRows.add(row);
+    usedBenefits.add(benefit);
     
-    // Pass display_name, doc_type, and hasSchedule for enrichment
-    const foundBenefits = extractBenefits(
-      doc.text,
-      doc.document_id,
-      doc.page_texts,
-      doc.display_name,
-      doc.doc_type,
-      hasSchedule
+    const doc = documents.find(d => d.document_id === row.document_id);
+    const pageMeta = doc?.page_meta?.[row.page - 1];
+    const confidence = pageMeta?.ocr ? Math.round(0.85 * pageMeta.ocr_confidence * 100) / 100 : 0.85;
+    const span = enrichEvidenceSpan(
+      doc?.page_texts?.[row.page - 1] || '',
+      row.quote,
+      row.document_id,
+      doc?.display_name || 'Policy Schedule',
+      'schedule',
+      row.page,
+      confidence,
+      row.position
     );
+    if (pageMeta?.ocr) span.ocr = true;
     
-    if (foundBenefits && Array.isArray(foundBenefits)) {
-      benefits.push(...foundBenefits);
+    // The row replaces amounts scraped from the clause text
+    benefit.amounts = { value_state: 'known', source: 'schedule', values: [] };
+    if (row.index_note) {
+      benefit.amounts.index_linked = true;
+      benefit.amounts.index_note = row.index_note;
+    }
+    for (const field of SCHEDULE_AMOUNT_COLUMNS) {
+      if (!row[field]) continue;
+      benefit.amounts.values.push({
+        ...row[field],
+        field,
+        coverage_name: row.coverage_name,
+        insured_person: row.insured_person || undefined,
+        period: row.period || undefined,
+        evidence_id: span.evidence_id,
+      });
+    }
+    if (!benefit.evidence_set.spans.some(s => s.evidence_id === span.evidence_id)) {
+      benefit.evidence_set.spans.push(span);
     }
+    linked++;
   }
   
-  // Count by layer
-  const certain = benefits.filter(b => b.layer === 'certain').length;
-  const conditional = benefits.filter(b => b.layer === 'conditional').length;
-  const service = benefits.filter(b => b.layer === 'service').length;
-  
-  console.log(`     📊 Layers: certain=${certain}, conditional=${conditional}, service=${service}`);
-  console.log(`     ✓ Harvested ${benefits.length} total benefits`);
-  
-  return { ...mapResult, benefits };
+  return linked;
 }
 
-// Maximum benefits before triggering AI dedup (raised to avoid unnecessary AI calls)
-const MAX_BENEFITS = 500;
+/**
+ * Text of a schedule with its coverage table lines (headers and rows) blanked out, offsets kept,
+ * so the table is not harvested again as a clause
+ */
+function maskScheduleTables(text, rows) {
+  const chars = text.split('');
+  for (const row of rows) {
+    for (const { offset, length } of row.table_lines || []) {
+      for (let i = offset; i < offset + length && i < chars.length; i++) {
+        if (chars[i] !== '\n') chars[i] = ' ';
+      }
+    }
+  }
+  return chars.join('');
+}
 
-// Supabase Edge Function URL for AI-powered deduplication
-const DEDUPE_FUNCTION_URL = `${SUPABASE_URL}/functions/v1/dedupe-benefits`;
+// ============================================================
+// CLAIM STEPS
+// ============================================================
 
-async function stageNormalize(run_id, harvestResult) {
-  console.log('  4️⃣  Normalize - Standardizing and deduplicating...');
-  await updateRunStatus(run_id, 'queued', 'normalize');
-  
-  const { benefits, hasSchedule } = harvestResult;
-  
-  if (!benefits || !Array.isArray(benefits)) {
-    console.log('     ⚠️ No benefits to normalize');
-    return { ...harvestResult, normalizedBenefits: [] };
+// Clauses that explain how to claim: submitting a claim, required documents, notice of the event
+const CLAIM_PROCEDURE_CUES = /הגשת\s+(?:ה)?תביע(?:ה|ות)|(?:ה)?מסמכים\s+(?:ה)?נדרשים|הודעה\s+(?:על|בדבר)\s+(?:ה)?(?:תביעה|מקרה\s+(?:ה)?ביטוח|קרות)|(?:ה)?ליך\s+(?:ה)?תביעה|יישוב\s+(?:ה)?תביע|claims?\s+procedure|(?:filing|submitting|making)\s+a\s+claim|how\s+to\s+(?:file\s+a\s+)?claim|notice\s+of\s+(?:a\s+)?claim|required\s+documents|documents\s+required/i;
+
+// Kinds of claim step, in the order a claimant takes them. A sentence gets the first kind it matches.
+const CLAIM_STEP_KINDS = [
+  ['notify', /להודיע|למסור\s+הודעה|תימסר\s+הודעה|הודעה\s+(?:על|בדבר)|לדווח|\bnotify\b|give\s+(?:written\s+)?notice|notice\s+(?:must|shall|should)|\breport\s+the\b/i],
+  ['pre_approval', CONDITION_PATTERNS.pre_approval_required],
+  ['submit_claim', /להגיש|יש\s+למלא|תוגש|יוגש|הגשת\s+(?:ה)?תביעה|\bsubmit|\bfile\s+(?:a|the|your)\s+claim|complete\s+(?:a|the)\s+claim\s+form/i],
+  ['submit_documents', /לצרף|יצורפו|יש\s+להמציא|בצירוף|(?:ה)?מסמכים|\battach|\benclose|\bprovide\b|documents?\b/i],
+  ['contact', /להתקשר|לפנות|ליצור\s+קשר|מוקד|\bcall\b|\bcontact\b|\bphone\b|\btelephone\b/i],
+];
+
+// Wording that tells the claimant to do something, so a procedure heading is not taken for a step
+const CLAIM_DIRECTIVE = /יש\s+ל|על\s+(?:ה)?(?:מבוטח|תובע)|חייב|נדרש|יידרש|ניתן\s+ל|\bmust\b|\bshall\b|\bshould\b|\bplease\b|\brequired\b|\bneed\s+to\b|\bmay\b|\bcan\b/i;
+
+// Documents a claim asks for
+const CLAIM_DOCUMENT_PATTERNS = [
+  ['claim_form', /טופס\s+(?:ה)?תביעה|claim\s+form/i],
+  ['receipts', /קבל(?:ה|ות)\s+(?:מקוריות|מקור)?|חשבוני(?:ת|ות)|\breceipts?\b|\binvoices?\b/i],
+  ['discharge_summary', /סיכום\s+(?:ה)?אשפוז|מכתב\s+(?:ה)?שחרור|discharge\s+(?:summary|letter)/i],
+  ['medical_records', /מסמכים\s+רפואיים|תיעוד\s+רפואי|רשומות\s+רפואיות|medical\s+(?:records|documents|documentation|reports?)/i],
+  ['medical_opinion', /חוות\s+דעת|medical\s+opinion/i],
+  ['referral', /(?:מכתב\s+)?הפני(?:ה|ית)(?!\s+ל(?:סעיף|פרק))|referral(?:\s+letter)?/i],
+  ['prescription', /מרשם|\bprescriptions?\b/i],
+  ['id_copy', /(?:צילום|העתק)\s+(?:של\s+)?(?:תעודת\s+(?:ה)?זהות|ת\.?ז)|copy\s+of\s+(?:your\s+|the\s+)?(?:id|identity\s+card|passport)/i],
+  ['police_report', /(?:דו"?ח|אישור)\s+(?:ה)?משטרה|police\s+report/i],
+  ['bank_details', /פרטי\s+(?:ה)?חשבון(?:\s+(?:ה)?בנק)?|bank\s+(?:account\s+)?details/i],
+  ['death_certificate', /תעודת\s+(?:ה)?פטירה|death\s+certificate/i],
+  ['confidentiality_waiver', /ויתור\s+(?:על\s+)?סודיות|waiver\s+of\s+(?:medical\s+)?confidentiality/i],
+];
+
+// A duration is a deadline after "תוך", "לא יאוחר מ", "within"...
+const CLAIM_DEADLINE_LEAD = /(?:תוך|בתוך|יאוחר\s+מ-?|המאוחר|within|later\s+than)\s*\(?\s*$/i;
+// ...or before "לפני", "before" ("לפחות 7 ימים לפני הניתוח")
+const CLAIM_DEADLINE_PRIOR = /^\s*\)?\s*(?:לפני|טרם|before|prior\s+to|in\s+advance)/i;
+
+// What a deadline counts from, in the words after the duration
+const CLAIM_DEADLINE_ANCHORS = [
+  ['discharge', /שחרור|discharge/i],
+  ['treatment', /טיפול|ניתוח|אשפוז|treatment|surgery|admission/i],
+  ['event', /מקרה\s+(?:ה)?ביטוח|אירוע|קרות|event|occurrence|incident/i],
+  ['invoice', /קבלה|חשבונית|invoice|receipt/i],
+];
+
+// Contact channels, matched in this order so an e-mail's domain is not also taken as a website
+const CLAIM_CONTACT_PATTERNS = [
+  ['email', /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g],
+  ['url', /(?:https?:\/\/|www\.)[^\s,;)"'<>]+[^\s,;)"'<>.]|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:co\.il|org\.il|gov\.il|com)\b(?:\/[^\s,;)"'<>]*[^\s,;)"'<>.])?/gi],
+  ['phone', /\*\d{4}(?!\d)|(?<![\d,.])(?:\+972[-\s]?|0)(?:[23489]|5\d|7\d)(?:[-\s]?\d){7}(?!\d)|(?<!\d)1[-\s]?[78]00(?:[-\s]?\d){6}(?!\d)/g],
+];
+
+// Words of a procedure heading that say nothing about which benefit it is for
+const CLAIM_TOPIC_STOP_WORDS = 'הגשת תביעה תביעות מסמכים נדרשים הודעה על בדבר מקרה הליך יישוב claim claims procedure required documents notice filing submitting making how to';
+
+// Documents whose wording sets the claim procedure (claim forms and letters only refer to it)
+const CLAIM_PROCEDURE_DOC_TYPES = ['policy', 'general_terms', 'endorsement', 'schedule'];
+
+// Share of a procedure heading's topic words a benefit title must contain to take its steps
+const CLAIM_STEP_LINK_THRESHOLD = 0.5;
+
+function claimDocuments(sentence) {
+  const documents = [];
+  for (const [type, pattern] of CLAIM_DOCUMENT_PATTERNS) {
+    const match = sentence.match(pattern);
+    if (match) documents.push({ type, raw: match[0].trim() });
   }
-  
-  console.log(`     📊 Raw benefits count: ${benefits.length}`);
-  
-  // Step 1: Basic normalization
-  let normalizedBenefits = benefits.map((benefit) => {
-    // Ensure amounts have proper value_state based on schedule presence
-    let amounts = benefit.amounts || {};
-    if (hasAmountReference(benefit.summary) && !hasSchedule) {
-      amounts = {
-        value_state: 'unknown_schedule_required',
-        values: []
-      };
-    }
-    
-    return {
-      benefit_id: benefit.benefit_id || uuidv4(),
-      title: normalizeHebrewText(benefit.title || 'Untitled Benefit'),
-      summary: normalizeHebrewText(benefit.summary || ''),
-      layer: benefit.layer || 'conditional',
-      status: benefit.status || 'included',
-      evidence_set: benefit.evidence_set || { spans: [] },
-      tags: benefit.tags || [],
-      eligibility: benefit.eligibility || {},
-      amounts: amounts,
-      actionable_steps: benefit.actionable_steps || []
-    };
-  });
-  
-  // Step 2: Always run local fuzzy dedup first (fast, no network)
-  const beforeFuzzy = normalizedBenefits.length;
-  normalizedBenefits = fuzzyDeduplication(normalizedBenefits);
-  if (normalizedBenefits.length < beforeFuzzy) {
-    console.log(`     🔄 Fuzzy dedup: ${beforeFuzzy} -> ${normalizedBenefits.length}`);
+  return documents;
+}
+
+/**
+ * Deadline stated in a sentence: { days, raw, when: 'within' | 'before', relative_to } or null
+ */
+function claimDeadline(sentence) {
+  for (const duration of parseDurations(sentence)) {
+    const lead = sentence.slice(Math.max(0, duration.index - 30), duration.index);
+    const rest = sentence.slice(duration.index + duration.raw.length);
+    const before = CLAIM_DEADLINE_PRIOR.test(rest);
+    if (!before && !CLAIM_DEADLINE_LEAD.test(lead)) continue;
+    const anchor = CLAIM_DEADLINE_ANCHORS.find(([, pattern]) => pattern.test(rest.slice(0, 60)));
+    return { days: duration.days, raw: duration.raw, when: before ? 'before' : 'within', relative_to: anchor?.[0] || null };
   }
-  
-  // Step 3: Only call AI deduplication if still over the cap
-  if (normalizedBenefits.length > MAX_BENEFITS) {
-    console.log(`     🤖 Calling AI deduplication (${normalizedBenefits.length} -> max ${MAX_BENEFITS})...`);
+  return null;
+}
+
+/**
+ * Phone numbers, fax numbers, e-mail addresses and websites in a sentence, in reading order
+ */
+function claimContacts(sentence) {
+  const found = [];
+  let rest = sentence;
+  for (const [channel, pattern] of CLAIM_CONTACT_PATTERNS) {
+    rest = rest.replace(pattern, (value, index) => {
+      const isFax = channel === 'phone' && /(?:פקס|פקסימיליה|fax)[\s:.-]*$/i.test(sentence.slice(Math.max(0, index - 15), index));
+      found.push({ channel: isFax ? 'fax' : channel, value, index });
+      return ' '.repeat(value.length);
+    });
+  }
+  return found.sort((a, b) => a.index - b.index).map(({ index, ...contact }) => contact);
+}
+
+/**
+ * Claim steps stated in a clause. Returns [{ kind, quote, documents, deadline, contacts, offset }],
+ * offset being where the quote starts in text. Inside a procedure clause a sentence counts when it
+ * names a document, deadline or contact, or tells the claimant to take a step; elsewhere it needs
+ * a step kind and a document, deadline or contact.
+ */
+function extractClaimSteps(text, isProcedure) {
+  const steps = [];
+  for (const sentence of splitSentences(text || '')) {
+    const documents = claimDocuments(sentence.text);
+    const deadline = claimDeadline(sentence.text);
+    const contacts = claimContacts(sentence.text);
+    const specific = documents.length > 0 || deadline !== null || contacts.length > 0;
+    let kind = CLAIM_STEP_KINDS.find(([, pattern]) => pattern.test(sentence.text))?.[0];
+    if (!(isProcedure ? specific || (kind && CLAIM_DIRECTIVE.test(sentence.text)) : kind && specific)) continue;
+    kind ||= documents.length > 0 ? 'submit_documents' : contacts.length > 0 ? 'contact' : 'submit_claim';
+    steps.push({ kind, quote: sentence.text, documents, deadline, contacts, offset: sentence.offset });
+  }
+  return steps;
+}
+
+/**
+ * Sort steps by kind, keeping the clause order within a kind, and number them from 1
+ */
+function orderClaimSteps(steps) {
+  const rank = kind => CLAIM_STEP_KINDS.findIndex(([name]) => name === kind);
+  return steps
+    .map((step, index) => ({ step, index }))
+    .sort((a, b) => rank(a.step.kind) - rank(b.step.kind) || a.index - b.index)
+    .map(({ step }, index) => ({ ...step, order: index + 1 }));
+}
+
+/**
+ * Claim steps of a document's procedure clauses. A clause starts at a paragraph with a procedure
+ * cue and runs over the following paragraphs while they state steps.
+ * Returns [{ topic, ...step }], topic being the first line of the paragraph that started the clause
+ * and step offsets being document-level.
+ */
+function findProcedureSteps(text) {
+  const steps = [];
+  let topic = null;
+  let cursor = 0;
+  for (const piece of (text || '').split(PARAGRAPH_SPLIT)) {
+    const pieceStart = text.indexOf(piece || '', cursor);
+    if (!piece || pieceStart < 0) continue;
+    cursor = pieceStart + piece.length;
+    const paragraph = piece.trim();
+    if (!paragraph) continue;
+    const paragraphStart = pieceStart + piece.indexOf(paragraph);
     
-    try {
-      const response = await fetch(DEDUPE_FUNCTION_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
-        },
-        body: JSON.stringify({
-          benefits: normalizedBenefits,
-          maxBenefits: MAX_BENEFITS
-        }),
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        if (data.benefits && Array.isArray(data.benefits)) {
-          console.log(`     ✓ AI deduplication: ${normalizedBenefits.length} -> ${data.benefits.length} (${data.method})`);
-          normalizedBenefits = data.benefits;
-        }
-      } else {
-        console.warn(`     ⚠️ Deduplication failed (${response.status}), using fallback`);
-        normalizedBenefits = fallbackDeduplication(normalizedBenefits, MAX_BENEFITS);
-      }
-    } catch (err) {
-      console.warn(`     ⚠️ Deduplication error: ${err.message}, using fallback`);
-      normalizedBenefits = fallbackDeduplication(normalizedBenefits, MAX_BENEFITS);
+    const isCue = CLAIM_PROCEDURE_CUES.test(paragraph);
+    const paragraphSteps = topic !== null || isCue ? extractClaimSteps(paragraph, true) : [];
+    if (isCue) {
+      topic = paragraph.split('\n')[0].slice(0, 120);
+    } else if (paragraphSteps.length === 0) {
+      topic = null;
+      continue;
+    }
+    for (const { offset, ...step } of paragraphSteps) {
+      steps.push({ topic, ...step, offset: paragraphStart + offset });
     }
   }
-  
-  console.log(`     ✓ Normalized ${normalizedBenefits.length} benefits`);
-  return { ...harvestResult, normalizedBenefits };
+  return steps;
 }
 
 /**
- * Fuzzy deduplication - catches near-duplicates by normalizing titles more aggressively
- * Runs locally, no network calls, very fast
+ * Benefits a procedure clause is about, from its topic. Empty when it applies to every claim.
  */
-function fuzzyDeduplication(benefits) {
-  const seen = new Map();
+function procedureBenefits(topic, benefits) {
+  const stopWords = coverageTokens(CLAIM_TOPIC_STOP_WORDS);
+  const topicTokens = [...coverageTokens(topic)].filter(token => !stopWords.has(token) && !/^\d+$/.test(token));
+  if (topicTokens.length === 0) return [];
   
+  let bestScore = 0;
+  let best = [];
   for (const benefit of benefits) {
-    // Aggressive normalization: strip punctuation, numbers, whitespace, common prefixes
-    const key = (benefit.title || '')
-      .replace(/[""״׳'`\-–—:;,.\u200F\u200E]/g, '')  // Remove punctuation & bidi marks
-      .replace(/\d+/g, '')                              // Remove numbers
-      .replace(/\s+/g, '')                               // Remove whitespace
-      .toLowerCase()
-      .replace(/^(כיסוי|זכות|שירות|הטבה|ביטוח)/g, '')   // Strip common Hebrew prefixes
-      .substring(0, 30);
-    
-    if (!key) continue;
-    
-    if (!seen.has(key)) {
-      seen.set(key, benefit);
-    } else {
-      // Merge: keep longer summary, merge evidence spans
+    if (benefit.status === 'excluded') continue;
+    const titleTokens = coverageTokens(benefit.title);
+    const score = topicTokens.filter(token => titleTokens.has(token)).length / topicTokens.length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = [benefit];
+    } else if (score === bestScore && score > 0) {
+      best.push(benefit);
+    }
+  }
+  return bestScore >= CLAIM_STEP_LINK_THRESHOLD ? best : [];
+}
+
+// ============================================================
+// BENEFIT TAGS
+// ============================================================
+
+// Hebrew tag rules match at the start of a word, after up to three prefix letters ("בניתוח",
+// "והניתוח"), and any ending, so plural endings need no rules of their own. Matching inside a
+// word would find "שן" in "הישן" and "לידה" in "ילידה".
+const HEBREW_WORD_START = '(?<![א-ת])[ובלמהשכ]{0,3}';
+
+/**
+ * Tag rule whose Hebrew alternatives start a word. English alternatives carry their own \b.
+ */
+function tagRule(source, flags = '') {
+  return new RegExp(`${HEBREW_WORD_START}(?:${source})`, flags);
+}
+
+// Coverage categories, each with weighted Hebrew and English rules
+const BENEFIT_TAG_RULES = {
+  surgery: [
+    [tagRule(String.raw`ניתוח|מנתח`), 0.6],
+    // "operations" alone is as often the company's as a surgeon's
+    [/\bsurg(?:ery|eries|ical|eon)|\b(?:surgical|medical)\s+operations?\b|\boperating\s+(?:room|theatre|theater)/i, 0.6],
+    [tagRule(String.raw`הרדמה|מרדים|\bana?esthe`, 'i'), 0.3],
+  ],
+  hospitalization: [
+    [tagRule(String.raw`אשפוז|מאושפז`), 0.6],
+    [/hospitali[sz]|\binpatient|\bin-patient|hospital\s+stay/i, 0.6],
+    // Surgery and diagnostics clauses name the hospital too, so this only backs up other rules:
+    // alone it stays under TAG_MIN_SCORE
+    [tagRule(String.raw`בית\s+חולים|בתי\s+חולים|\bhospitals?\b`, 'i'), 0.2],
+  ],
+  medication: [
+    [tagRule(String.raw`תרופ|סל\s+הבריאות`), 0.6],
+    [/\bmedicat|\bdrugs?\b|\bpharmac/i, 0.6],
+    [tagRule(String.raw`מרשם|\bprescription`, 'i'), 0.3],
+  ],
+  diagnostics: [
+    [tagRule(String.raw`בדיק(?:ה|ות)\s+(?:אבחנתי|הדמיה|מעבדה|רפואי)|אבחון|הדמיה|\b(?:MRI|CT|PET)\b|אולטרסאונד|ממוגרפ`), 0.6],
+    [/\bdiagnos|\bimaging\b|\bscans?\b|\bultrasound|\bmammogra|\blab(?:oratory)?\s+tests?\b/i, 0.6],
+    [tagRule(String.raw`בדיק(?:ה|ות)|\btests?\b`, 'i'), 0.3],
+  ],
+  dental: [
+    [tagRule(String.raw`שיניים|שן(?![א-ת])|דנטלי|יישור\s+שיניים|שתל(?:ים)?\s+דנטלי`), 0.7],
+    [/\bdental\b|\bdentist|\bteeth\b|\btooth\b|\borthodont/i, 0.7],
+  ],
+  mental_health: [
+    [tagRule(String.raw`נפשי|פסיכיאטר|פסיכולוג|פסיכותרפי`), 0.7],
+    [/mental\s+health|\bpsychiatr|\bpsycholog|\bpsychotherap/i, 0.7],
+  ],
+  pregnancy: [
+    [tagRule(String.raw`הריון|היריון|לידה|יולד|פוריות|הפרי(?:ה|יה)\s+חוץ|טיפולי\s+הפרי`), 0.7],
+    [/\bpregnan|\bmaternity\b|\bchildbirth|\bfertility|\bIVF\b|\bprenatal/i, 0.7],
+  ],
+  transplants: [
+    [tagRule(String.raw`השתל(?:ה|ת|ות)|איבר\s+מושתל|מח\s+עצם`), 0.7],
+    [/\btransplant/i, 0.7],
+  ],
+  abroad_treatment: [
+    [tagRule(String.raw`בחו["״]ל|חוץ\s+לארץ|מחוץ\s+לישראל`), 0.6],
+    [/\babroad\b|\boverseas\b|outside\s+(?:of\s+)?israel/i, 0.6],
+  ],
+  ambulance: [
+    [tagRule(String.raw`אמבולנס|ניידת\s+טיפול\s+נמרץ|פינוי\s+(?:ב)?(?:אמבולנס|אוויר|מסוק)|הטסה\s+רפואית`), 0.7],
+    [/\bambulance|medical\s+(?:evacuation|transport)|\bair\s+evacuation/i, 0.7],
+  ],
+  nursing: [
+    [tagRule(String.raw`סיעוד|סיעודי`), 0.7],
+    [/\bnursing\b|long[- ]term\s+care/i, 0.7],
+  ],
+  disability_income: [
+    [tagRule(String.raw`אובדן\s+כושר\s+(?:ה)?עבודה|אכ["״]ע|נכות`), 0.7],
+    [/\bdisability\b|loss\s+of\s+(?:earning|income)|income\s+protection/i, 0.7],
+  ],
+  second_opinion: [
+    [tagRule(String.raw`חוות\s+דעת\s+(?:רפואית\s+)?(?:שני(?:ה|יה)|נוספת)`), 0.8],
+    [/second\s+(?:medical\s+)?opinion/i, 0.8],
+  ],
+};
+
+// Added to a rule's weight when it matches both the clause and the title, which names the coverage.
+// A title match alone is weak: the title can be the heading of a neighbouring clause.
+const TAG_TITLE_BONUS = 0.2;
+const TAG_TITLE_ONLY_WEIGHT = 0.25;
+// Tags scoring lower are not kept
+const TAG_MIN_SCORE = 0.3;
+
+/**
+ * Taxonomy tags of a benefit from its title and clause. Returns { tags, tag_scores }, tags sorted
+ * by score (0..1). A category's score combines its matching rules, so each extra match raises it.
+ */
+function tagBenefit(title, text) {
+  const scores = {};
+  for (const [tag, rules] of Object.entries(BENEFIT_TAG_RULES)) {
+    let miss = 1;
+    for (const [pattern, weight] of rules) {
+      const inTitle = pattern.test(title || '');
+      if (pattern.test(text || '')) miss *= 1 - (inTitle ? Math.min(0.95, weight + TAG_TITLE_BONUS) : weight);
+      else if (inTitle) miss *= 1 - TAG_TITLE_ONLY_WEIGHT;
+    }
+    const score = Math.round((1 - miss) * 100) / 100;
+    if (score >= TAG_MIN_SCORE) scores[tag] = score;
+  }
+  const tags = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+  return { tags, tag_scores: Object.fromEntries(tags.map(tag => [tag, scores[tag]])) };
+}
+
+// ============================================================
+// EXCLUSION RESOLUTION
+// ============================================================
+
+// Heading of an exclusions chapter ("5. חריגים", "פרק ד - חריגים", "General Exclusions")
+const EXCLUSION_CHAPTER_HEADING = /^(?:(\d+)[.)]?\s*)?(?:פרק\s+[\u05D0-\u05EA\d]+\s*[-–:.]?\s*)?(?:חריגים|סייגים|(?:general\s+)?exclusions)(?![A-Za-z])/i;
+
+// A list item inside the chapter: "5.1", "3.", "א.", "(ב)", "•". Group 1 is a leading number.
+const EXCLUSION_ITEM_MARKER = /^(?:(\d+)(?:\.\d+)*[.)]?|[\u05D0-\u05EA]{1,2}[.)]|\([\u05D0-\u05EAa-z\d]{1,3}\)|[a-z][.)]|[•*–-])\s+/i;
+
+// A numbered line, whose number is the clause number of the text under it
+const NUMBERED_LINE = /(?:^|\n)[ \t]*(\d+(?:\.\d+)*)[.)]?[ \t]+\S/g;
+
+// Reference types that point at a clause of the policy (not at another exclusion or an annex)
+const EXCLUSION_REFERENCE_TYPES = ['section', 'clause', 'article', 'paragraph'];
+
+// Words of a benefit title too general to tie an exclusion to it
+const EXCLUSION_TOPIC_STOP_WORDS = 'טיפול טיפולים טיפולי הוצאות הוצאה החזר שיפוי מבוטח המבוטח זכאי treatment treatments expenses expense reimbursement insured';
+
+// Share of a benefit title's topic words an exclusion sentence must contain
+const EXCLUSION_LINK_THRESHOLD = 0.5;
+// Least score of a shared tag, on the exclusion, that ties it to a benefit with that main tag
+const EXCLUSION_TAG_MIN_SCORE = 0.6;
+
+/**
+ * Items of a document's exclusions chapter. The chapter runs from its heading to the next
+ * top-level clause number (or, under an unnumbered heading, the next heading). Items start at
+ * list markers; a chapter written as prose without markers has one item per paragraph.
+ * Returns [{ text, offset }], offset being document-level.
+ */
+function findExclusionChapterItems(text) {
+  const items = [];
+  let chapter = null;
+  let item = null;
+  let afterBlank = false;
+  let lineStart = 0;
+  const close = () => {
+    if (item) items.push({ text: text.slice(item.offset, item.end), offset: item.offset });
+    item = null;
+  };
+  
+  for (const rawLine of (text || '').split('\n')) {
+    const start = lineStart;
+    lineStart += rawLine.length + 1;
+    const line = rawLine.trim();
+    if (!line) {
+      afterBlank = true;
+      continue;
+    }
+    const lineOffset = start + rawLine.indexOf(line);
+    const paragraphStart = afterBlank;
+    afterBlank = false;
+    
+    const heading = line.length <= 80 ? line.match(EXCLUSION_CHAPTER_HEADING) : null;
+    if (heading) {
+      close();
+      chapter = { number: heading[1] || null, started: false, marked: false };
+      continue;
+    }
+    if (!chapter) continue;
+    
+    const marker = line.match(EXCLUSION_ITEM_MARKER);
+    // "המבטח לא יהיה אחראי בגין:" right under the heading introduces the list
+    if (!marker && !chapter.started && /:$/.test(line)) continue;
+    
+    const topLevel = marker && /^\d+[.)]?\s/.test(line);
+    const endsChapter = chapter.number
+      ? topLevel && marker[1] !== chapter.number
+      : !marker && (HEADING_PATTERNS.hebrew.common.test(line) || HEADING_PATTERNS.colonEnding.test(line) || HEADING_PATTERNS.english.allCaps.test(line));
+    if (endsChapter) {
+      close();
+      chapter = null;
+      continue;
+    }
+    
+    if (marker || !item || (paragraphStart && !chapter.marked)) {
+      close();
+      item = { offset: lineOffset, end: lineOffset + line.length };
+      chapter.started = true;
+      if (marker) chapter.marked = true;
+    } else {
+      item.end = lineOffset + line.length;
+    }
+  }
+  close();
+  return items;
+}
+
+/**
+ * Clause number of the text at a position: the number of the last numbered line at or before it
+ */
+function clauseNumberAt(numberedLines, position) {
+  let number = null;
+  for (const line of numberedLines) {
+    if (line.start > position) break;
+    number = line.number;
+  }
+  return number;
+}
+
+/**
+ * Words naming what a benefit covers: the heading line its clause starts with ("1. ניתוחים
+ * בישראל"), else its title, less words too general to tell coverages apart
+ */
+function benefitTopicTokens(benefit, stopWords) {
+  const [firstLine, ...rest] = (benefit.evidence_set.spans[0]?.quote || '').split('\n');
+  const topic = rest.length > 0 && firstLine.trim().length <= 80 ? firstLine : benefit.title;
+  return [...coverageTokens(topic)].filter(token => !stopWords.has(token));
+}
+
+/**
+ * How an exclusion clause restricts a benefit, or null. Tried in order: an explicit reference to
+ * the benefit's clause number, the benefit's topic words, then the benefit's main tag.
+ * exclusion.sentences are the sentences that can be the carve-out.
+ * Returns { match, score, quote, offset }, quote being the carve-out sentence.
+ */
+function matchExclusion(exclusion, benefit) {
+  const { sentences } = exclusion;
+  
+  if (benefit.clauseNumber && exclusion.document_id === benefit.document_id) {
+    for (const ref of extractClauseReferences(exclusion.text)) {
+      if (!EXCLUSION_REFERENCE_TYPES.includes(ref.type)) continue;
+      const number = String(ref.number || '').replace(/\.+$/, '');
+      if (!number || (benefit.clauseNumber !== number && !benefit.clauseNumber.startsWith(`${number}.`))) continue;
+      const sentence = sentences.find(s => s.offset <= ref.position && ref.position < s.offset + s.text.length);
+      if (sentence) return { match: 'section_reference', score: 1, quote: sentence.text, offset: sentence.offset };
+    }
+  }
+  
+  if (benefit.topicTokens.length > 0) {
+    let best = null;
+    for (const sentence of sentences) {
+      const tokens = coverageTokens(sentence.text);
+      const score = benefit.topicTokens.filter(token => tokens.has(token)).length / benefit.topicTokens.length;
+      if (score >= EXCLUSION_LINK_THRESHOLD && score > (best?.score || 0)) {
+        best = { match: 'topic', score: Math.round(score * 100) / 100, quote: sentence.text, offset: sentence.offset };
+      }
+    }
+    if (best) return best;
+  }
+  
+  const mainTag = benefit.tags?.[0];
+  const tagScore = exclusion.tag_scores[mainTag] || 0;
+  if (mainTag && tagScore >= EXCLUSION_TAG_MIN_SCORE) {
+    const sentence = sentences.find(s => tagBenefit(null, s.text).tags.includes(mainTag));
+    if (sentence) return { match: 'tag', score: tagScore, quote: sentence.text, offset: sentence.offset };
+  }
+  return null;
+}
+
+/**
+ * Link exclusion clauses, and the items of exclusions chapters, to the included benefits they
+ * carve out. Both benefits get an entry in exclusion_links: the included one `excluded_by` the
+ * exclusion, the exclusion `restricts` the benefit, each with the carve-out quote and its evidence.
+ * A chapter item that was not harvested becomes an excluded benefit once it restricts one.
+ * Returns the number of links.
+ */
+function resolveExclusions(benefits, documents) {
+  const documentById = new Map(documents.map(doc => [doc.document_id, doc]));
+  const numberedLines = new Map();
+  const numberedLinesOf = (doc) => {
+    if (!numberedLines.has(doc.document_id)) {
+      numberedLines.set(doc.document_id, Array.from(doc.text.matchAll(NUMBERED_LINE), match => ({
+        start: match.index + match[0].search(/\d/),
+        number: match[1],
+      })));
+    }
+    return numberedLines.get(doc.document_id);
+  };
+  // Where a benefit's first quote sits in its document
+  const locate = (benefit) => {
+    const span = benefit.evidence_set.spans[0];
+    const doc = span && documentById.get(span.document_id);
+    const offset = doc?.text ? doc.text.indexOf(span.quote) : -1;
+    return offset >= 0 ? { doc, offset } : null;
+  };
+  
+  const stopWords = coverageTokens(EXCLUSION_TOPIC_STOP_WORDS);
+  const targets = [];
+  const exclusionBenefits = [];
+  for (const benefit of benefits) {
+    benefit.exclusion_links ||= [];
+    const located = locate(benefit);
+    if (benefit.status === 'excluded') {
+      if (located) exclusionBenefits.push({ benefit, ...located });
+      continue;
+    }
+    targets.push({
+      benefit,
+      tags: benefit.tags,
+      document_id: located?.doc.document_id,
+      clauseNumber: located ? clauseNumberAt(numberedLinesOf(located.doc), located.offset) : null,
+      topicTokens: benefitTopicTokens(benefit, stopWords),
+    });
+  }
+  if (targets.length === 0) return 0;
+  
+  // Chapter items come first; an excluded benefit quoting an item hosts it
+  const exclusions = [];
+  const hosting = new Set();
+  for (const doc of documents) {
+    if (!doc.text || doc.duplicate_of) continue;
+    for (const item of findExclusionChapterItems(doc.text)) {
+      const host = exclusionBenefits.find(e => e.doc === doc && e.offset <= item.offset && item.offset + item.text.length <= e.offset + e.benefit.evidence_set.spans[0].quote.length);
+      if (host) hosting.add(host);
+      exclusions.push({ doc, ...item, host: host?.benefit || null, chapter: true });
+    }
+  }
+  for (const entry of exclusionBenefits) {
+    if (hosting.has(entry)) continue;
+    exclusions.push({ doc: entry.doc, text: entry.benefit.evidence_set.spans[0].quote, offset: entry.offset, host: entry.benefit, chapter: false });
+  }
+  
+  let links = 0;
+  for (const exclusion of exclusions) {
+    // Every sentence of a chapter item excludes; elsewhere only those with exclusion wording
+    const sentences = splitSentences(exclusion.text)
+      .filter(sentence => exclusion.chapter || detectBenefitStatus(sentence.text) === 'excluded');
+    if (sentences.length === 0) continue;
+    const clause = {
+      text: exclusion.text,
+      document_id: exclusion.doc.document_id,
+      sentences,
+      tag_scores: tagBenefit(null, sentences.map(sentence => sentence.text).join(' ')).tag_scores,
+    };
+    for (const target of targets) {
+      const found = matchExclusion(clause, target);
+      if (!found) continue;
+      
+      if (!exclusion.host) {
+        const title = normalizeHebrewText(generateBenefitTitle(exclusion.text));
+        exclusion.host = {
+          benefit_id: stableId(exclusion.doc.document_id, 'exclusion', exclusion.offset, exclusion.text),
+          layer: detectBenefitLayer(exclusion.text),
+          title,
+          summary: generateBenefitSummary(exclusion.text),
+          status: 'excluded',
+          evidence_set: { spans: [documentQuoteEvidence(exclusion.doc, exclusion.offset, exclusion.text)] },
+          ...tagBenefit(title, exclusion.text),
+          eligibility: {},
+          amounts: {},
+          actionable_steps: [],
+          exclusion_links: [],
+        };
+        benefits.push(exclusion.host);
+      }
+      const { benefit } = target;
+      if (benefit.exclusion_links.some(l => l.benefit_id === exclusion.host.benefit_id && l.quote === found.quote)) continue;
+      
+      const evidence = documentQuoteEvidence(exclusion.doc, exclusion.offset + found.offset, found.quote);
+      const { match, score, quote } = found;
+      benefit.exclusion_links.push({ relation: 'excluded_by', benefit_id: exclusion.host.benefit_id, title: exclusion.host.title, match, score, quote, evidence });
+      exclusion.host.exclusion_links.push({ relation: 'restricts', benefit_id: benefit.benefit_id, title: benefit.title, match, score, quote, evidence: { ...evidence } });
+      links++;
+    }
+  }
+  return links;
+}
+
+// ============================================================
+// DOCUMENT TYPE CLASSIFICATION
+// ============================================================
+
+// Lines from the top of a document treated as its heading, and the opening text scanned for keywords
+const DOC_TYPE_HEADING_LINES = 10;
+const DOC_TYPE_SCAN_CHARS = 20000;
+// Weight of a heading match relative to a keyword match
+const DOC_TYPE_HEADING_WEIGHT = 3;
+// Below this score the text says too little to classify
+const DOC_TYPE_MIN_SCORE = 3;
+// A detected type replaces the uploader's choice only at this confidence or above
+const DOC_TYPE_OVERRIDE_CONFIDENCE = 0.6;
+
+/**
+ * Classify a document from its text. Returns { doc_type, confidence (0..1), signals }
+ * or null when no type scores high enough.
+ */
+function classifyDocumentType(text) {
+  if (!text || !text.trim()) return null;
+  
+  const headingZone = text.split('\n').map(line => line.trim()).filter(Boolean).slice(0, DOC_TYPE_HEADING_LINES).join('\n');
+  const body = text.slice(0, DOC_TYPE_SCAN_CHARS);
+  const scores = {};
+  const signals = {};
+  const add = (type, weight, signal) => {
+    scores[type] = (scores[type] || 0) + weight;
+    (signals[type] ||= []).push(signal);
+  };
+  
+  for (const [type, { headings, keywords }] of Object.entries(DOC_TYPE_SIGNALS)) {
+    for (const pattern of headings) {
+      if (pattern.test(headingZone)) add(type, DOC_TYPE_HEADING_WEIGHT, `heading:${pattern.source}`);
+    }
+    for (const pattern of keywords) {
+      if (pattern.test(body)) add(type, 1, pattern.source);
+    }
+  }
+  
+  // Annex titles at the top mark an endorsement (schedules outscore it with their own headings)
+  if (isAnnexDocument(headingZone)) add('endorsement', 2, 'annex heading');
+  
+  // Schedules are mostly rows of amounts
+  const amounts = body.match(/\d[\d,]*(?:\.\d+)?\s*(?:₪|ש"ח|NIS|ILS|\$|€)/g) || [];
+  if (amounts.length >= 5) add('schedule', 2, `${amounts.length} amounts`);
+  
+  // A denial is a letter too, so once its own signals are there the letter signals count towards it
+  if (scores.denial_letter >= DOC_TYPE_MIN_SCORE && scores.correspondence) {
+    add('denial_letter', scores.correspondence, 'letter');
+    delete scores.correspondence;
+  }
+  
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] < DOC_TYPE_MIN_SCORE) return null;
+  
+  const [docType, top] = ranked[0];
+  const runnerUp = ranked[1]?.[1] || 0;
+  // Share of the lead over the runner-up, damped while the evidence is thin
+  const confidence = (top / (top + runnerUp)) * Math.min(1, top / (2 * DOC_TYPE_HEADING_WEIGHT));
+  
+  return { doc_type: docType, confidence: Math.round(confidence * 100) / 100, signals: signals[docType] };
+}
+
+/**
+ * The type the uploader chose. Intake writes the detected type over doc_type,
+ * so reruns read the original choice from declared_doc_type.
+ */
+function declaredDocType(doc) {
+  return doc.declared_doc_type !== undefined ? doc.declared_doc_type : doc.doc_type;
+}
+
+/**
+ * Settle a document's type from the uploader's choice and the classification.
+ * Returns the type fields stored on the document; doc_type_note explains a disagreement.
+ */
+function resolveDocumentType(declared, classification) {
+  const chosen = declared && declared !== 'unknown' ? declared : null;
+  const fields = {
+    doc_type: chosen || classification?.doc_type || 'policy',
+    declared_doc_type: declared || null,
+    detected_doc_type: classification?.doc_type || null,
+    doc_type_confidence: classification?.confidence ?? null,
+    doc_type_note: null,
+  };
+  if (!classification || !chosen || chosen === classification.doc_type) return fields;
+  
+  const detectedLabel = DOC_TYPE_LABELS[classification.doc_type];
+  const chosenLabel = DOC_TYPE_LABELS[chosen] || chosen;
+  const certainty = `${Math.round(classification.confidence * 100)}%`;
+  if (classification.confidence >= DOC_TYPE_OVERRIDE_CONFIDENCE) {
+    fields.doc_type = classification.doc_type;
+    fields.doc_type_note = `המסמך סומן כ${chosenLabel} אך זוהה לפי תוכנו כ${detectedLabel} (ודאות ${certainty}) וטופל ככזה.`;
+  } else {
+    fields.doc_type_note = `המסמך סומן כ${chosenLabel} אך תוכנו דומה ל${detectedLabel} (ודאות ${certainty}). נשמר הסוג שסומן.`;
+  }
+  return fields;
+}
+
+/**
+ * Copy the type fields set by resolveDocumentType
+ */
+function documentTypeFields(doc) {
+  return {
+    doc_type: doc.doc_type,
+    declared_doc_type: declaredDocType(doc) ?? null,
+    detected_doc_type: doc.detected_doc_type ?? null,
+    doc_type_confidence: doc.doc_type_confidence ?? null,
+    doc_type_note: doc.doc_type_note ?? null,
+  };
+}
+
+// ============================================================
+// MISSING REQUIREMENTS DETECTION
+// ============================================================
+
+/**
+ * Check for missing requirements and return structured missing_requirements array.
+ * processedDocs may be null to skip the checks that need parse output (cache hits only reuse runs without those warnings).
+ */
+function detectMissingRequirements(documents, processedDocs) {
+  const missingRequirements = [];
+  
+  // Check for schedule
+  const hasSchedule = documents.some(d => d.doc_type === 'schedule');
+  if (!hasSchedule) {
+    missingRequirements.push({
+      code: 'schedule_required',
+      severity: 'warning',
+      message: 'לא זוהה דף פרטי ביטוח (Policy Schedule). סכומים ותקרות לא יוצגו.'
+    });
+  }
+  
+  // Check for policy document - now a warning, not a blocker
+  // The system will still process any document and extract what it can.
+  // General terms are the policy wording itself, so they count as well.
+  const hasPolicy = documents.some(d => d.doc_type === 'policy' || d.doc_type === 'general_terms');
+  if (!hasPolicy) {
+    missingRequirements.push({
+      code: 'policy_not_found',
+      severity: 'warning',
+      message: 'לא זוהה מסמך פוליסה ראשי - הזכויות שיופקו עלולות להיות חלקיות.'
+    });
+  }
+  
+  // Report documents whose content disagrees with the type chosen at upload
+  for (const doc of documents) {
+    if (!doc.doc_type_note) continue;
+    missingRequirements.push({
+      code: 'doc_type_mismatch',
+      severity: 'warning',
+      message: doc.doc_type_note,
+      related_document_id: doc.document_id,
+      declared_doc_type: declaredDocType(doc),
+      detected_doc_type: doc.detected_doc_type
+    });
+  }
+  
+  // Check for unreadable documents
+  for (const doc of processedDocs ? documents : []) {
+    const processed = processedDocs.find(p => p.document_id === doc.document_id);
+    if (!processed || !processed.text || processed.text.length < 100) {
+      missingRequirements.push({
+        code: 'document_unreadable',
+        severity: 'warning',
+        message: `לא ניתן היה לקרוא את המסמך: ${doc.display_name}`,
+        related_document_id: doc.document_id
+      });
+    }
+  }
+  
+  // Check for duplicate uploads (marked during intake, excluded from harvest)
+  for (const doc of processedDocs || []) {
+    if (!doc.duplicate_of) continue;
+    const original = processedDocs.find(p => p.document_id === doc.duplicate_of);
+    missingRequirements.push({
+      code: 'duplicate_document',
+      severity: 'warning',
+      message: doc.duplicate_kind === 'exact'
+        ? `המסמך ${doc.display_name} הועלה פעמיים (זהה ל-${original?.display_name}) ולא נכלל בחילוץ הזכויות.`
+        : `המסמך ${doc.display_name} כמעט זהה ל-${original?.display_name} ולא נכלל בחילוץ הזכויות.`,
+      related_document_id: doc.document_id,
+      duplicate_of: doc.duplicate_of
+    });
+  }
+  
+  return missingRequirements;
+}
+
+// ============================================================
+// STORAGE ADAPTERS
+// ============================================================
+
+/**
+ * The pipeline talks to its backends through an adapter bundle instead of a client:
+ *
+ *   storage:  listDocuments(run_id) -> documents[]
+ *             download(doc) -> Buffer
+ *             updateDocument(document_id, fields)
+ *   runs:     getRun(run_id) -> run | null
+ *             updateRun(run_id, fields)
+ *             listStaleRuns(updatedBefore) -> runs[] still queued with updated_at < updatedBefore (ISO)
+ *             findCompletedRun({ policy_fingerprint, worker_version, rules_version, exclude_run_id })
+ *               -> most recently updated completed run matching all fields | null
+ *   benefits: replaceBenefits(run_id, rows) -> atomically replaces every benefit of the run
+ *             listBenefits(run_id) -> rows[]
+ *   checkpoints: getCheckpoint(run_id) -> most recently saved checkpoint | null
+ *                saveCheckpoint(checkpoint) -> upsert keyed by (run_id, policy_fingerprint)
+ *                clearCheckpoints(run_id)
+ *   ping() -> resolves when the backend is reachable (readiness probe)
+ *
+ * Every method is async and throws an Error on failure.
+ */
+
+/**
+ * Wrap a Supabase error, keeping the HTTP status so failures can be classified as retryable
+ */
+function supabaseError(message, error, status) {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.status = status || error.status || error.statusCode;
+  wrapped.code = error.code;
+  return wrapped;
+}
+
+/**
+ * Adapters backed by the Supabase project (default)
+ */
+function createSupabaseAdapters(client) {
+  return {
+    name: 'supabase',
+    async ping() {
+      const { error, status } = await client
+        .from('runs')
+        .select('run_id')
+        .limit(1);
+      if (error) throw supabaseError('Supabase unreachable', error, status);
+    },
+    storage: {
+      async listDocuments(run_id) {
+        const { data, error, status } = await client
+          .from('documents')
+          .select('*')
+          .eq('run_id', run_id);
+        if (error) throw supabaseError('Failed to fetch documents', error, status);
+        return data || [];
+      },
+      async download(doc) {
+        const { data, error } = await client.storage
+          .from('policy-documents')
+          .download(doc.storage_key);
+        if (error) throw supabaseError(`Failed to download ${doc.display_name}`, error);
+        return Buffer.from(await data.arrayBuffer());
+      },
+      async updateDocument(document_id, fields) {
+        const { error, status } = await client
+          .from('documents')
+          .update(fields)
+          .eq('document_id', document_id);
+        if (error) throw supabaseError('Failed to update document', error, status);
+      },
+    },
+    runs: {
+      async getRun(run_id) {
+        const { data, error, status } = await client
+          .from('runs')
+          .select('*')
+          .eq('run_id', run_id)
+          .maybeSingle();
+        if (error) throw supabaseError('Failed to fetch run', error, status);
+        return data;
+      },
+      async updateRun(run_id, fields) {
+        const { error, status } = await client
+          .from('runs')
+          .update(fields)
+          .eq('run_id', run_id);
+        if (error) throw supabaseError('Failed to update run', error, status);
+      },
+      async listStaleRuns(updatedBefore) {
+        const { data, error, status } = await client
+          .from('runs')
+          .select('run_id, status, stage, updated_at')
+          .eq('status', 'queued')
+          .lt('updated_at', updatedBefore);
+        if (error) throw supabaseError('Failed to fetch stale runs', error, status);
+        return data || [];
+      },
+      async findCompletedRun({ policy_fingerprint, worker_version, rules_version, exclude_run_id }) {
+        const { data, error, status } = await client
+          .from('runs')
+          .select('*')
+          .eq('status', 'completed')
+          .eq('policy_fingerprint', policy_fingerprint)
+          .eq('worker_version', worker_version)
+          .eq('rules_version', rules_version)
+          .neq('run_id', exclude_run_id)
+          .order('updated_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (error) throw supabaseError('Failed to look up cached run', error, status);
+        return data;
+      },
+    },
+    benefits: {
+      async replaceBenefits(run_id, rows) {
+        // Delete and insert run inside one Postgres function call, i.e. one transaction
+        const { error, status } = await client
+          .rpc('replace_run_benefits', { p_run_id: run_id, p_benefits: rows });
+        if (error) {
+          throw supabaseError(`Export failed (code: ${error.code}, hint: ${error.hint}, details: ${error.details})`, error, status);
+        }
+      },
+      async listBenefits(run_id) {
+        const { data, error, status } = await client
+          .from('benefits')
+          .select('*')
+          .eq('run_id', run_id);
+        if (error) throw supabaseError('Failed to fetch benefits', error, status);
+        return data || [];
+      },
+    },
+    checkpoints: {
+      async getCheckpoint(run_id) {
+        const { data, error, status } = await client
+          .from('run_checkpoints')
+          .select('*')
+          .eq('run_id', run_id)
+          .order('updated_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (error) throw supabaseError('Failed to fetch checkpoint', error, status);
+        return data;
+      },
+      async saveCheckpoint(checkpoint) {
+        const { error, status } = await client
+          .from('run_checkpoints')
+          .upsert(checkpoint, { onConflict: 'run_id,policy_fingerprint' });
+        if (error) throw supabaseError('Failed to save checkpoint', error, status);
+      },
+      async clearCheckpoints(run_id) {
+        const { error, status } = await client
+          .from('run_checkpoints')
+          .delete()
+          .eq('run_id', run_id);
+        if (error) throw supabaseError('Failed to clear checkpoints', error, status);
+      },
+    },
+  };
+}
+
+/**
+ * findCompletedRun filter shared by the in-process adapters
+ */
+function isCacheableRun(run, { policy_fingerprint, worker_version, rules_version, exclude_run_id }) {
+  return run.status === 'completed' &&
+    run.run_id !== exclude_run_id &&
+    run.policy_fingerprint === policy_fingerprint &&
+    run.worker_version === worker_version &&
+    run.rules_version === rules_version;
+}
+
+/**
+ * Adapters that keep runs, documents and benefits in memory.
+ * Documents are read from disk at their storage_key (absolute, or relative to filesDir).
+ */
+function createMemoryAdapters({ runs = [], documents = [], filesDir = '.' } = {}) {
+  const runsById = new Map(runs.map(r => [r.run_id, { ...r }]));
+  const documentList = documents.map(d => ({ ...d }));
+  const benefitRows = [];
+  // run_id -> Map(policy_fingerprint -> checkpoint)
+  const checkpointsByRun = new Map();
+  
+  return {
+    name: 'memory',
+    async ping() {},
+    storage: {
+      async listDocuments(run_id) {
+        return documentList.filter(d => d.run_id === run_id).map(d => ({ ...d }));
+      },
+      async download(doc) {
+        const data = await fs.readFile(path.resolve(filesDir, doc.storage_key));
+        return Buffer.from(data);
+      },
+      async updateDocument(document_id, fields) {
+        const doc = documentList.find(d => d.document_id === document_id);
+        if (doc) Object.assign(doc, fields);
+      },
+    },
+    runs: {
+      async getRun(run_id) {
+        const run = runsById.get(run_id);
+        return run ? { ...run } : null;
+      },
+      async updateRun(run_id, fields) {
+        const run = runsById.get(run_id);
+        if (run) Object.assign(run, fields);
+      },
+      async listStaleRuns(updatedBefore) {
+        return Array.from(runsById.values())
+          .filter(r => r.status === 'queued' && r.updated_at && r.updated_at < updatedBefore)
+          .map(r => ({ ...r }));
+      },
+      async findCompletedRun(criteria) {
+        const match = Array.from(runsById.values())
+          .filter(r => isCacheableRun(r, criteria))
+          .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))[0];
+        return match ? { ...match } : null;
+      },
+    },
+    benefits: {
+      async replaceBenefits(run_id, rows) {
+        const kept = benefitRows.filter(b => b.run_id !== run_id);
+        benefitRows.splice(0, benefitRows.length, ...kept, ...structuredClone(rows));
+      },
+      async listBenefits(run_id) {
+        return benefitRows.filter(b => b.run_id === run_id);
+      },
+    },
+    checkpoints: {
+      async getCheckpoint(run_id) {
+        const saved = Array.from(checkpointsByRun.get(run_id)?.values() || []);
+        const latest = saved.sort((a, b) => b.updated_at.localeCompare(a.updated_at))[0];
+        return latest ? structuredClone(latest) : null;
+      },
+      async saveCheckpoint(checkpoint) {
+        if (!checkpointsByRun.has(checkpoint.run_id)) checkpointsByRun.set(checkpoint.run_id, new Map());
+        checkpointsByRun.get(checkpoint.run_id).set(checkpoint.policy_fingerprint, structuredClone(checkpoint));
+      },
+      async clearCheckpoints(run_id) {
+        checkpointsByRun.delete(run_id);
+      },
+    },
+  };
+}
+
+/**
+ * Adapters that persist everything as JSON under dataDir:
+ *   runs/<run_id>.json, documents/<run_id>.json, benefits/<run_id>.json, files/<storage_key>,
+ *   checkpoints/<run_id>.json ({ policy_fingerprint: checkpoint })
+ */
+function createFilesystemAdapters(dataDir) {
+  const root = path.resolve(dataDir);
+  
+  async function readJson(file, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(root, file), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return fallback;
+      throw err;
+    }
+  }
+  
+  async function writeJson(file, value) {
+    const target = path.join(root, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Write to a temp file first so a crash never leaves half a JSON document behind
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(value, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+  }
+  
+  async function readAllRuns() {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(root, 'runs'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const runs = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const run = await readJson(`runs/${file}`, null);
+      if (run) runs.push(run);
+    }
+    return runs;
+  }
+  
+  // document_id -> run_id, filled as documents are listed
+  const documentRuns = new Map();
+  
+  return {
+    name: 'filesystem',
+    async ping() {
+      await fs.mkdir(root, { recursive: true });
+      await fs.access(root, fsConstants.W_OK);
+    },
+    storage: {
+      async listDocuments(run_id) {
+        const documents = await readJson(`documents/${run_id}.json`, []);
+        for (const doc of documents) documentRuns.set(doc.document_id, run_id);
+        return documents;
+      },
+      async download(doc) {
+        const data = await fs.readFile(path.resolve(root, 'files', doc.storage_key));
+        return Buffer.from(data);
+      },
+      async updateDocument(document_id, fields) {
+        const run_id = documentRuns.get(document_id);
+        if (!run_id) throw new Error(`Unknown document: ${document_id}`);
+        const documents = await readJson(`documents/${run_id}.json`, []);
+        const doc = documents.find(d => d.document_id === document_id);
+        if (doc) Object.assign(doc, fields);
+        await writeJson(`documents/${run_id}.json`, documents);
+      },
+    },
+    runs: {
+      async getRun(run_id) {
+        return readJson(`runs/${run_id}.json`, null);
+      },
+      async updateRun(run_id, fields) {
+        const run = await readJson(`runs/${run_id}.json`, null);
+        if (!run) throw new Error(`Unknown run: ${run_id}`);
+        await writeJson(`runs/${run_id}.json`, { ...run, ...fields });
+      },
+      async listStaleRuns(updatedBefore) {
+        const runs = await readAllRuns();
+        return runs.filter(run => run.status === 'queued' && run.updated_at && run.updated_at < updatedBefore);
+      },
+      async findCompletedRun(criteria) {
+        const runs = await readAllRuns();
+        return runs
+          .filter(run => isCacheableRun(run, criteria))
+          .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))[0] || null;
+      },
+    },
+    benefits: {
+      async replaceBenefits(run_id, rows) {
+        await writeJson(`benefits/${run_id}.json`, rows);
+      },
+      async listBenefits(run_id) {
+        return readJson(`benefits/${run_id}.json`, []);
+      },
+    },
+    checkpoints: {
+      async getCheckpoint(run_id) {
+        const saved = Object.values(await readJson(`checkpoints/${run_id}.json`, {}));
+        return saved.sort((a, b) => b.updated_at.localeCompare(a.updated_at))[0] || null;
+      },
+      async saveCheckpoint(checkpoint) {
+        const file = `checkpoints/${checkpoint.run_id}.json`;
+        const saved = await readJson(file, {});
+        saved[checkpoint.policy_fingerprint] = checkpoint;
+        await writeJson(file, saved);
+      },
+      async clearCheckpoints(run_id) {
+        await fs.rm(path.join(root, 'checkpoints', `${run_id}.json`), { force: true });
+      },
+    },
+  };
+}
+
+/**
+ * Build the adapter bundle selected by STORAGE_BACKEND (supabase | filesystem)
+ */
+function createAdaptersFromEnv() {
+  const backend = process.env.STORAGE_BACKEND || 'supabase';
+  
+  if (backend === 'filesystem') {
+    return createFilesystemAdapters(process.env.FILESYSTEM_DATA_DIR || './data');
+  }
+  
+  if (backend === 'supabase') {
+    return supabase ? createSupabaseAdapters(supabase) : null;
+  }
+  
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+// Active adapters used by the pipeline; the CLI swaps in memory adapters
+let adapters = null;
+
+function setAdapters(next) {
+  adapters = next;
+}
+
+// ============================================================
+// PDF TEXT & OCR
+// ============================================================
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Parse a PDF page by page. Each page is { text, lines, width, height }; lines are
+ * { text, x, y, width, height } in PDF points with the origin at the top left of the page.
+ */
+async function extractPdfPages(buffer) {
+  const pages = [];
+  const pdfData = await pdf(buffer, {
+    // Same line grouping as pdf-parse's default renderer, but kept per page with positions
+    pagerender: async (pageData) => {
+      const viewport = pageData.getViewport(1);
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const lines = [];
+      let lastY;
+      let lastX;
+      let lastRight;
+      for (const item of textContent.items) {
+        const [, , , , x, y] = item.transform;
+        const height = item.height || Math.abs(item.transform[3]);
+        const right = x + (item.width || 0);
+        if (lastY === undefined || lastY !== y) {
+          lines.push({ text: '', x, y: viewport.height - y - height, right: x, height });
+        } else if (item.str.trim() && Math.max(x - lastRight, lastX - right) > height) {
+          // A gap wider than the font size separates table cells (items may run either way)
+          lines[lines.length - 1].text += '\t';
+        }
+        const line = lines[lines.length - 1];
+        line.text += item.str;
+        line.x = Math.min(line.x, x);
+        line.right = Math.max(line.right, right);
+        line.height = Math.max(line.height, height);
+        lastY = y;
+        lastX = x;
+        lastRight = right;
+      }
+      
+      pages[pageData.pageIndex] = {
+        text: lines.map(l => l.text).join('\n'),
+        lines: lines.map(({ text, x, y, right, height }) => ({
+          text,
+          x: roundPoint(x),
+          y: roundPoint(y),
+          width: roundPoint(right - x),
+          height: roundPoint(height)
+        })),
+        width: roundPoint(viewport.width),
+        height: roundPoint(viewport.height)
+      };
+      return pages[pageData.pageIndex].text;
+    }
+  });
+  
+  // pdf-parse turns a page that fails to render into '' without calling pagerender
+  return Array.from({ length: pdfData.numpages }, (_, i) => pages[i] || { text: '', lines: [] });
+}
+
+function roundPoint(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Normalise extracted pages and join them into one document text.
+ * Returns { text, pageTexts, pageMeta }. Each page_meta entry gets char_start/char_end
+ * (offsets of the page in text) and lines [{ start, end, x?, y?, width?, height? }]
+ * (offsets within the page text, plus the line box when the source has positions).
+ */
+function assemblePages(pages, pageMeta) {
+  const pageTexts = [];
+  const meta = [];
+  let offset = 0;
+  
+  pages.forEach((page, i) => {
+    // Normalise line by line so the line boxes keep matching the text
+    const lineTexts = page.lines.map(line => normalizeHebrewText(line.text.replace(/[\r\n]+/g, ' ')));
+    
+    // Put visually reversed Hebrew back in logical order so every later stage reads it.
+    // Reordering keeps every line's length, so the offsets below stay valid.
+    const { text, reversedLines } = fixReversedHebrew(lineTexts.join('\n'));
+    
+    let lineStart = 0;
+    const lines = lineTexts.map((lineText, j) => {
+      const { text: _text, ...box } = page.lines[j];
+      const entry = { start: lineStart, end: lineStart + lineText.length, ...box };
+      lineStart = entry.end + 1;
+      return entry;
+    });
+    
+    meta.push({
+      ...pageMeta[i],
+      ...(reversedLines > 0 ? { reversed_lines: reversedLines } : {}),
+      char_start: offset,
+      char_end: offset + text.length,
+      ...(page.width ? { width: page.width, height: page.height } : {}),
+      lines
+    });
+    pageTexts.push(text);
+    offset += text.length + 2; // pages are joined with a blank line
+  });
+  
+  return { text: pageTexts.join('\n\n'), pageTexts, pageMeta: meta };
+}
+
+/**
+ * Rebuild text from tesseract TSV output. Words are joined into lines and paragraphs are
+ * separated by a blank line, which is what extractBenefits splits clauses on.
+ * Confidence is the mean word confidence, 0..1.
+ */
+function parseTesseractTsv(tsv) {
+  const lines = [];
+  const confidences = [];
+  let lastLine = null;
+  let lastParagraph = null;
+  
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    // Level 5 rows are words: level, page, block, par, line, word, left, top, width, height, conf, text
+    if (cols.length < 12 || cols[0] !== '5') continue;
+    const word = cols[11].trim();
+    const conf = parseFloat(cols[10]);
+    if (!word || !(conf >= 0)) continue;
+    
+    confidences.push(conf);
+    const paragraph = `${cols[2]}.${cols[3]}`;
+    const line = `${paragraph}.${cols[4]}`;
+    if (line === lastLine) {
+      lines[lines.length - 1] += ` ${word}`;
+      continue;
+    }
+    if (lastParagraph !== null && paragraph !== lastParagraph) lines.push('');
+    lines.push(word);
+    lastLine = line;
+    lastParagraph = paragraph;
+  }
+  
+  const confidence = confidences.length > 0
+    ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length / 100
+    : 0;
+  return { text: lines.join('\n'), confidence: Math.round(confidence * 100) / 100 };
+}
+
+async function runTesseract(imagePath) {
+  const { stdout } = await execFileAsync('tesseract', [imagePath, 'stdout', '-l', OCR_LANGUAGES, 'tsv'], {
+    timeout: OCR_TIMEOUT,
+    maxBuffer: 32 * 1024 * 1024
+  });
+  return parseTesseractTsv(stdout);
+}
+
+/**
+ * Render one page to PNG and run tesseract on it
+ */
+async function ocrPdfPage(pdfPath, pageNumber, workDir) {
+  const imagePrefix = path.join(workDir, `page-${pageNumber}`);
+  await execFileAsync('pdftoppm', [
+    '-r', String(OCR_DPI), '-f', String(pageNumber), '-l', String(pageNumber),
+    '-png', '-singlefile', pdfPath, imagePrefix
+  ], { timeout: OCR_TIMEOUT });
+  return runTesseract(`${imagePrefix}.png`);
+}
+
+/**
+ * OCR a JPEG/PNG image as a single page. Returns { pages, pageMeta } like ocrMissingPages.
+ */
+async function ocrImage(buffer, format) {
+  const emptyPage = { pages: [{ text: '', lines: [] }], pageMeta: [{ page: 1, ocr: false }] };
+  if (!OCR_ENABLED || ocrUnavailable) return emptyPage;
+  
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-ocr-'));
+  try {
+    const imagePath = path.join(workDir, `image.${format === 'jpeg' ? 'jpg' : 'png'}`);
+    await fs.writeFile(imagePath, buffer);
+    const { text, confidence } = await runTesseract(imagePath);
+    logger.info('OCR image', { chars: text.length, ocr_confidence: confidence });
+    return {
+      pages: [{ text, lines: text.split('\n').map(line => ({ text: line })) }],
+      pageMeta: [{ page: 1, ocr: true, ocr_confidence: confidence }]
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      ocrUnavailable = true;
+      logger.warn('OCR binaries not found (tesseract), images stay empty');
+      return emptyPage;
+    }
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Set when the OCR binaries are missing, so the warning is logged once per process
+let ocrUnavailable = false;
+
+/**
+ * OCR the pages that have no text layer.
+ * Returns the merged pages and per-page metadata ({ page, ocr, ocr_confidence }).
+ */
+async function ocrMissingPages(buffer, extractedPages) {
+  const pages = [...extractedPages];
+  const pageMeta = pages.map((_, i) => ({ page: i + 1, ocr: false }));
+  const missing = pages
+    .map((page, i) => (page.text.replace(/\s/g, '').length < OCR_MIN_PAGE_CHARS ? i : -1))
+    .filter(i => i >= 0);
+  
+  if (!OCR_ENABLED || ocrUnavailable || missing.length === 0) {
+    return { pages, pageMeta };
+  }
+  
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-ocr-'));
+  try {
+    const pdfPath = path.join(workDir, 'document.pdf');
+    await fs.writeFile(pdfPath, buffer);
+    
+    for (const index of missing) {
+      try {
+        const { text, confidence } = await ocrPdfPage(pdfPath, index + 1, workDir);
+        // Line positions are not kept for OCR text
+        pages[index] = { text, lines: text.split('\n').map(line => ({ text: line })) };
+        pageMeta[index] = { page: index + 1, ocr: true, ocr_confidence: confidence };
+        logger.info('OCR page', { page: index + 1, chars: text.length, ocr_confidence: confidence });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          ocrUnavailable = true;
+          logger.warn('OCR binaries not found (pdftoppm, tesseract), scanned pages stay empty');
+          break;
+        }
+        logger.warn('OCR failed for page', { page: index + 1, error: error.message });
+      }
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+  
+  return { pages, pageMeta };
+}
+
+// ============================================================
+// INPUT FORMATS
+// ============================================================
+
+// Attachments inside attachments are followed this many levels deep
+const MAX_ATTACHMENT_DEPTH = 3;
+
+/**
+ * Detect a file's format from its content: pdf, docx, jpeg, png, html, eml or text.
+ * Returns null for anything else (other binary formats).
+ */
+function detectDocumentFormat(buffer) {
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+  if (buffer.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF]))) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4B, 0x03, 0x04]))) {
+    try {
+      return readZipEntries(buffer).names.includes('word/document.xml') ? 'docx' : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  // Text formats: no NUL bytes near the start
+  const head = buffer.subarray(0, 4096);
+  if (head.includes(0)) return null;
+  const start = head.toString('latin1').replace(/^\uFEFF|^\xEF\xBB\xBF/, '').trimStart();
+  if (/^(?:<!doctype html|<html|<head|<body|<meta|<div|<p[\s>]|<table)/i.test(start)) return 'html';
+  // RFC 822 message: a header block that names at least one of the usual mail headers
+  const headerBlock = start.split(/\r?\n\r?\n/)[0];
+  if (/^[\w-]+:/.test(start) && /^(?:From|To|Subject|Date|Message-ID|MIME-Version|Received):/im.test(headerBlock)) return 'eml';
+  return 'text';
+}
+
+/**
+ * Minimal ZIP reader (stored and deflated entries, no ZIP64) for DOCX files.
+ * A truncated or corrupt archive throws an "Invalid ZIP" error, which is not retried.
+ */
+function readZipEntries(buffer) {
+  const need = (position, length, what) => {
+    if (position < 0 || position + length > buffer.length) throw new Error(`Invalid ZIP ${what}: truncated archive`);
+  };
+  
+  // End of central directory record, searched backwards past a possible comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Invalid ZIP archive');
+  
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    need(offset, 46, 'central directory');
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid ZIP central directory');
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    need(offset + 46, nameLength, 'central directory');
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  
+  return {
+    names: Array.from(entries.keys()),
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      const local = entry.localOffset;
+      need(local, 30, `entry ${name}`);
+      const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+      need(dataStart, entry.compressedSize, `entry ${name}`);
+      const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+      if (entry.method === 0) return data;
+      if (entry.method === 8) {
+        try {
+          return zlib.inflateRawSync(data);
+        } catch (error) {
+          throw new Error(`Invalid ZIP entry ${name}: ${error.message}`);
+        }
+      }
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+  };
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Decode bytes in the given charset. Without one, UTF-8 is tried first and
+ * windows-1255 (common for Hebrew mail and text files) is the fallback.
+ */
+function decodeText(buffer, charset) {
+  if (charset) {
+    try {
+      return new TextDecoder(charset.toLowerCase()).decode(buffer);
+    } catch {
+      // Unknown charset label: fall through to detection
+    }
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1255').decode(buffer);
+  }
+}
+
+/**
+ * Split text into pages on form feeds, one line per entry
+ */
+function textToPages(text) {
+  return text.replace(/\r\n?/g, '\n').split('\f').map(pageText => ({
+    text: pageText,
+    lines: pageText.split('\n').map(line => ({ text: line }))
+  }));
+}
+
+/**
+ * DOCX body text, one page per rendered or explicit page break. Paragraphs are
+ * separated by a blank line so extractBenefits sees them as separate clauses.
+ * Table rows become one line each, with their cells separated by tabs.
+ */
+function extractDocxPages(buffer) {
+  const xml = readZipEntries(buffer).read('word/document.xml')?.toString('utf8');
+  if (!xml) throw new Error('DOCX has no word/document.xml');
+  
+  const pages = [[]];
+  let line = '';
+  let inText = false;
+  let inRow = false;
+  const endLine = () => {
+    pages[pages.length - 1].push(line);
+    line = '';
+  };
+  
+  for (const [, closing, tag, attrs, text] of xml.matchAll(/<(\/?)w:(p|t|tab|br|cr|lastRenderedPageBreak|tc|tr|tbl)\b([^>]*)>|([^<]+)|<[^>]*>/g)) {
+    if (text !== undefined) {
+      if (inText) line += decodeEntities(text);
+    } else if (tag === 't') {
+      inText = !closing && !attrs.endsWith('/');
+    } else if (tag === 'tr') {
+      inRow = !closing;
+      if (closing) {
+        line = line.replace(/\t$/, '');
+        endLine();
+      }
+    } else if (tag === 'tc') {
+      if (closing) line = `${line.trimEnd()}\t`;
+    } else if (tag === 'tbl') {
+      if (closing) pages[pages.length - 1].push('');
+    } else if (tag === 'p' && closing && inRow) {
+      // Paragraphs inside a table cell stay on the row's line
+      line += ' ';
+    } else if (tag === 'p' && closing) {
+      endLine();
+      pages[pages.length - 1].push('');
+    } else if (tag === 'tab') {
+      line += '\t';
+    } else if ((tag === 'br' && /w:type="page"/.test(attrs)) || tag === 'lastRenderedPageBreak') {
+      if (line) endLine();
+      pages.push([]);
+    } else if (tag === 'br' || tag === 'cr') {
+      endLine();
+    }
+  }
+  if (line) endLine();
+  
+  // Drop the blank lines a page break paragraph leaves around it, and a trailing empty page
+  const trimmed = pages.map(lines => {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !lines[start].trim()) start++;
+    while (end > start && !lines[end - 1].trim()) end--;
+    return lines.slice(start, end);
+  });
+  while (trimmed.length > 1 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+  return trimmed.map(lines => ({ text: lines.join('\n'), lines: lines.map(text => ({ text })) }));
+}
+
+/**
+ * Visible text of an HTML document, with block elements on their own lines
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|h[1-6]|li|tr|table|blockquote|section|article|header|footer|ul|ol)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function htmlCharset(buffer) {
+  return buffer.subarray(0, 4096).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+}
+
+/**
+ * Split a MIME entity (latin1 string, so bytes survive) into lower-cased headers and body
+ */
+function parseMimeEntity(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  const headerText = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+  
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+/**
+ * Parse a header such as Content-Type into its value and parameters
+ */
+function parseHeaderValue(header = '') {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?...?=) in a header
+ */
+function decodeMimeWords(header = '') {
+  const decoded = header.replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, data) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(data, 'base64')
+      : Buffer.from(decodeQuotedPrintable(data.replace(/_/g, ' ')), 'latin1');
+    return decodeText(bytes, charset);
+  });
+  // Header values from parseMimeEntity are latin1; decode raw 8-bit bytes too
+  return /[\x80-\xFF]/.test(decoded) && !/=\?/.test(header) ? decodeText(Buffer.from(decoded, 'latin1')) : decoded;
+}
+
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(decodeQuotedPrintable(body), 'latin1');
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * Walk a MIME entity collecting body texts and attachments ({ filename, buffer })
+ */
+function collectMimeParts(raw, result = { plain: [], html: [], attachments: [] }) {
+  const { headers, body } = parseMimeEntity(raw);
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition']);
+  const filename = decodeMimeWords(disposition.params.filename || contentType.params.name || '');
+  
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const parts = body.split(delimiter).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      collectMimeParts(part.replace(/^\r?\n/, ''), result);
+    }
+    return result;
+  }
+  
+  const content = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  const isText = contentType.value === 'text/plain' || contentType.value === 'text/html';
+  if (isText && disposition.value !== 'attachment' && !filename) {
+    const text = decodeText(content, contentType.params.charset);
+    result[contentType.value === 'text/html' ? 'html' : 'plain'].push(text);
+  } else if (content.length > 0) {
+    result.attachments.push({ filename: filename || `${contentType.value.replace('/', '.')}`, buffer: content });
+  }
+  return result;
+}
+
+/**
+ * Email: the first page holds the main headers and the body text; every readable
+ * attachment adds its own pages, tagged with the attachment name in page_meta.
+ */
+async function extractEmailPages(buffer, depth) {
+  const raw = buffer.toString('latin1');
+  const { headers } = parseMimeEntity(raw);
+  const parts = collectMimeParts(raw);
+  
+  const headerLines = ['from', 'to', 'cc', 'date', 'subject']
+    .filter(name => headers[name])
+    .map(name => `${name[0].toUpperCase()}${name.slice(1)}: ${decodeMimeWords(headers[name])}`);
+  // Prefer the plain-text alternative; fall back to the HTML one
+  const bodyText = parts.plain.length > 0 ? parts.plain.join('\n\n') : parts.html.map(htmlToText).join('\n\n');
+  
+  const pages = textToPages([...headerLines, '', bodyText].join('\n'));
+  const pageMeta = pages.map(() => ({ ocr: false }));
+  
+  for (const attachment of parts.attachments) {
+    const format = detectDocumentFormat(attachment.buffer);
+    if (!format || depth >= MAX_ATTACHMENT_DEPTH) {
+      logger.info('Skipping email attachment', { attachment: attachment.filename, format });
+      continue;
+    }
+    try {
+      const extracted = await extractDocumentPages(attachment.buffer, format, depth + 1);
+      pages.push(...extracted.pages);
+      pageMeta.push(...extracted.pageMeta.map(meta => ({ ...meta, attachment: attachment.filename })));
+    } catch (error) {
+      logger.warn('Email attachment could not be read', { attachment: attachment.filename, error: error.message });
+    }
+  }
+  
+  return { pages, pageMeta: pageMeta.map((meta, i) => ({ ...meta, page: i + 1 })) };
+}
+
+/**
+ * Extract pages ({ text, lines }) and page metadata from a document of any supported format
+ */
+async function extractDocumentPages(buffer, format, depth = 0) {
+  const plainPages = (pages) => ({ pages, pageMeta: pages.map((_, i) => ({ page: i + 1, ocr: false })) });
+  
+  switch (format) {
+    case 'pdf':
+      // PDF page by page, then OCR pages without a text layer
+      return ocrMissingPages(buffer, await extractPdfPages(buffer));
+    case 'docx':
+      return plainPages(extractDocxPages(buffer));
+    case 'html':
+      return plainPages(textToPages(htmlToText(decodeText(buffer, htmlCharset(buffer)))));
+    case 'text':
+      return plainPages(textToPages(decodeText(buffer)));
+    case 'eml':
+      return extractEmailPages(buffer, depth);
+    case 'jpeg':
+    case 'png':
+      return ocrImage(buffer, format);
+    default:
+      throw new Error('Unsupported document format');
+  }
+}
+
+// ============================================================
+// PIPELINE STAGES
+// ============================================================
+
+async function updateRunStatus(run_id, status, stage, extra = {}) {
+  // A pipeline still running after its job was re-queued on shutdown stops here,
+  // before it can overwrite the interruption note or schedule a retry of its own
+  if (abortInFlight) {
+    const error = new Error('Aborted by worker shutdown');
+    error.aborted = true;
+    throw error;
+  }
+  try {
+    await adapters.runs.updateRun(run_id, {
+      status,
+      stage,
+      updated_at: new Date().toISOString(),
+      ...extra
+    });
+  } catch (error) {
+    logger.warn('Failed to update run status', { status, error: error.message });
+  }
+}
+
+/**
+ * Download and hash one document.
+ * Never throws: failures come back as { doc, error }.
+ */
+async function downloadDocument(doc) {
+  return withLogContext({ document_id: doc.document_id }, async () => {
+    try {
+      const buffer = await adapters.storage.download(doc);
+      return { doc, buffer, sha256: computeSha256(buffer) };
+    } catch (downloadError) {
+      logger.warn('Document download failed', { error: downloadError.message });
+      return { doc, error: downloadError };
+    }
+  });
+}
+
+/**
+ * Parse one downloaded document.
+ * Never throws: failures come back as { error }.
+ */
+async function parseDocument({ doc, buffer, sha256 }) {
+  return withLogContext({ document_id: doc.document_id }, async () => {
+    logger.info('Processing document', { document_name: doc.display_name || doc.storage_key });
+    
+    try {
+      // The stored file name or MIME type can't be trusted, so the format comes from the content
+      const format = detectDocumentFormat(buffer);
+      const extracted = await extractDocumentPages(buffer, format);
+      const { text, pageTexts, pageMeta } = assemblePages(extracted.pages, extracted.pageMeta);
+      const ocrPages = pageMeta.filter(p => p.ocr).length;
+      const reversedLines = pageMeta.reduce((sum, p) => sum + (p.reversed_lines || 0), 0);
+      if (reversedLines > 0) {
+        logger.info('Fixed reversed RTL text', { lines: reversedLines });
+      }
+      
+      // The uploader's choice of type is often just the default, so check it against the content
+      const classification = classifyDocumentType(text);
+      const typeFields = resolveDocumentType(declaredDocType(doc), classification);
+      if (typeFields.doc_type_note) {
+        logger.info('Document type differs from upload', {
+          declared_doc_type: typeFields.declared_doc_type,
+          detected_doc_type: typeFields.detected_doc_type,
+          doc_type_confidence: typeFields.doc_type_confidence,
+          doc_type: typeFields.doc_type,
+        });
+      }
+      
+      const processed = {
+        document_id: doc.document_id,
+        display_name: doc.display_name || 'Unknown Document',
+        ...typeFields,
+        format,
+        text,
+        page_texts: pageTexts.length > 0 ? pageTexts : [''],
+        page_meta: pageMeta.length > 0 ? pageMeta : [{ page: 1, ocr: false, char_start: 0, char_end: 0, lines: [] }],
+        pages: pageTexts.length || 1,
+        sha256: sha256
+      };
+      
+      // The hash lets later runs match this document when reusing a cached result
+      try {
+        await adapters.storage.updateDocument(doc.document_id, {
+          pages: pageTexts.length || 1,
+          sha256
+        });
+      } catch (updateError) {
+        logger.warn('Failed to update document', { error: updateError.message });
+      }
+      
+      // Newer columns go in their own updates, so a schema without them still stores the hash
+      try {
+        await adapters.storage.updateDocument(doc.document_id, {
+          format,
+          text_length: processed.text.length,
+          ocr_pages: ocrPages
+        });
+      } catch (updateError) {
+        logger.warn('Failed to update document details', { error: updateError.message });
+      }
+      
+      try {
+        await adapters.storage.updateDocument(doc.document_id, typeFields);
+      } catch (updateError) {
+        logger.warn('Failed to update document type', { error: updateError.message });
+      }
+      
+      return { processed };
+    } catch (err) {
+      logger.warn('Document could not be parsed', { document_name: doc.display_name, error: err.message });
+      return { error: err };
+    }
+  });
+}
+
+async function stageIntake(run_id, { useCache = true } = {}) {
+  logger.info('Intake: fetching documents');
+  await updateRunStatus(run_id, 'queued', 'intake');
+  
+  // Fetch documents for this run
+  const documents = await adapters.storage.listDocuments(run_id);
+  
+  if (!documents || documents.length === 0) {
+    throw new Error('No documents found for this run');
+  }
+  
+  logger.info('Documents listed', { documents: documents.length });
+  
+  // Fixed order: later stages keep the first of several similar benefits, so the
+  // listing order must not change the result
+  const orderedDocuments = [...documents].sort((a, b) => String(a.document_id).localeCompare(String(b.document_id)));
+  
+  // Download and hash first: a cache hit skips parsing entirely
+  const downloads = await mapWithConcurrency(orderedDocuments, DOCUMENT_CONCURRENCY, downloadDocument);
+  const downloaded = downloads.filter(d => !d.error);
+  const documentErrors = downloads.filter(d => d.error).map(d => d.error);
+  
+  // Generate policy fingerprint
+  const policyFingerprint = generatePolicyFingerprint(downloaded.map(d => d.sha256));
+  logger.info('Policy fingerprint computed', { policy_fingerprint: policyFingerprint });
+  
+  const runVersionFields = {
+    policy_fingerprint: policyFingerprint,
+    worker_version: WORKER_VERSION,
+    rules_version: RULES_VERSION,
+  };
+  
+  // Only a complete set of documents has a fingerprint worth matching
+  const cached = useCache && documentErrors.length === 0
+    ? await loadCachedResult(run_id, policyFingerprint, downloaded)
+    : null;
+  
+  if (cached) {
+    const { sourceRun, benefits, claimSteps, sourceDocumentById } = cached;
+    
+    // Take the types detected in the source run; the cached benefits were extracted with them
+    const typedDocuments = documents.map(d => {
+      const source = sourceDocumentById.get(d.document_id);
+      return source ? { ...d, ...documentTypeFields(source) } : d;
+    });
+    for (const doc of typedDocuments) {
+      try {
+        await adapters.storage.updateDocument(doc.document_id, documentTypeFields(doc));
+      } catch (updateError) {
+        logger.warn('Failed to update document', { document_id: doc.document_id, error: updateError.message });
+      }
+    }
+    
+    const hasSchedule = typedDocuments.some(d => d.doc_type === 'schedule');
+    const missingRequirements = detectMissingRequirements(typedDocuments, null);
+    
+    await updateRunStatus(run_id, 'queued', 'intake', {
+      missing_requirements: missingRequirements.map(m => m.code),
+      policy_metadata: sourceRun.policy_metadata,
+      ...runVersionFields,
+      result_source: 'cache',
+      cached_from_run_id: sourceRun.run_id
+    });
+    
+    logger.info('Reusing cached result', { cached_from_run_id: sourceRun.run_id, benefits: benefits.length });
+    
+    // Shaped like the Validate output so the pipeline can go straight to Export
+    const coverage = sourceRun.quality_metrics?.validation_score ?? 1;
+    return {
+      documents: downloaded.map(({ doc }) => ({
+        document_id: doc.document_id,
+        display_name: doc.display_name || 'Unknown Document',
+        doc_type: sourceDocumentById.get(doc.document_id).doc_type || 'policy',
+        pages: sourceDocumentById.get(doc.document_id).pages || 1
+      })),
+      documentIds: documents.map(d => d.document_id),
+      hasSchedule,
+      policyFingerprint,
+      missingRequirements,
+      policyMetadata: sourceRun.policy_metadata,
+      cachedFromRunId: sourceRun.run_id,
+      claimSteps,
+      validatedBenefits: { valid: benefits, invalid: [], score: coverage * 100 },
+      qualityMetrics: { evidence_coverage_ratio: coverage, benefits_count: benefits.length, warnings: [] }
+    };
+  }
+  
+  // Parse documents in parallel, bounded to keep memory in check
+  const parseResults = await mapWithConcurrency(downloaded, DOCUMENT_CONCURRENCY, parseDocument);
+  const processedDocs = parseResults.filter(r => r.processed).map(r => r.processed);
+  documentErrors.push(...parseResults.filter(r => r.error).map(r => r.error));
+  
+  // If nothing could be read because storage was unavailable, fail with that error so
+  // the job is retried rather than treated as unreadable documents
+  const transientError = documentErrors.find(e => classifyError(e) === 'retryable');
+  if (processedDocs.length === 0 && transientError) {
+    throw transientError;
+  }
+  
+  // Duplicates stay in the run but are left out of Harvest so they don't double every benefit
+  const duplicates = markDuplicateDocuments(processedDocs);
+  for (const duplicate of duplicates) {
+    logger.warn('Duplicate document', {
+      document_id: duplicate.document_id,
+      duplicate_of: duplicate.duplicate_of,
+      duplicate_kind: duplicate.duplicate_kind,
+    });
+    try {
+      await adapters.storage.updateDocument(duplicate.document_id, {
+        duplicate_of: duplicate.duplicate_of,
+        duplicate_kind: duplicate.duplicate_kind
+      });
+    } catch (updateError) {
+      logger.warn('Failed to update document', { document_id: duplicate.document_id, error: updateError.message });
+    }
+  }
+  
+  // Parsed documents carry the type detected from their content; unreadable ones keep the uploaded type
+  const typedDocuments = documents.map(d => {
+    const processed = processedDocs.find(p => p.document_id === d.document_id);
+    return processed ? { ...d, ...documentTypeFields(processed) } : d;
+  });
+  const hasSchedule = typedDocuments.some(d => d.doc_type === 'schedule');
+  logger.info('Document types', {
+    doc_types: typedDocuments.map(d => d.doc_type),
+    has_schedule: hasSchedule,
+  });
+  
+  // Extract policy metadata for auto-fill
+  const policyMetadata = extractPolicyMetadata(processedDocs);
+  logger.info('Extracted metadata', {
+    insurer: policyMetadata.insurerName || null,
+    policy_number: policyMetadata.policyNumber || null,
+    policy_type: policyMetadata.policyType || null,
+  });
+  
+  // Detect missing requirements
+  const missingRequirements = detectMissingRequirements(typedDocuments, processedDocs);
+  if (missingRequirements.length > 0) {
+    logger.warn('Missing requirements', { codes: missingRequirements.map(m => m.code) });
+  }
+  
+  // Update run with missing_requirements and policy_metadata
+  await updateRunStatus(run_id, 'queued', 'intake', {
+    missing_requirements: missingRequirements.map(m => m.code),
+    policy_metadata: policyMetadata,
+    ...runVersionFields,
+    result_source: 'pipeline',
+    cached_from_run_id: null
+  });
+  
+  logger.info('Intake complete', { documents_processed: processedDocs.length });
+  
+  return {
+    documents: processedDocs,
+    documentIds: documents.map(d => d.document_id),
+    hasSchedule,
+    policyFingerprint,
+    missingRequirements,
+    policyMetadata
+  };
+}
+
+async function stageMap(run_id, intakeResult) {
+  logger.info('Map: analyzing structure');
+  await updateRunStatus(run_id, 'queued', 'map');
+  
+  const { documents } = intakeResult;
+  
+  if (!documents || !Array.isArray(documents)) {
+    logger.warn('No documents to map');
+    return { ...intakeResult, sections: 0 };
+  }
+  
+  let totalSections = 0;
+  
+  for (const doc of documents) {
+    if (!doc.text) continue;
+    
+    // Extract headings to understand structure
+    const headings = extractHeadings(doc.text);
+    totalSections += headings.length;
+    
+    // Extract clause references
+    const clauses = extractClauseReferences(doc.text);
+    doc.clauses = clauses;
+    doc.headings = headings;
+    
+    // Coverage tables of the schedule, linked to benefits in Harvest
+    if (doc.doc_type === 'schedule' && !doc.duplicate_of) {
+      doc.schedule_rows = parseScheduleRows(doc);
+      logger.info('Schedule rows parsed', { document_id: doc.document_id, rows: doc.schedule_rows.length });
+    }
+  }
+  
+  logger.info('Map complete', { sections: totalSections });
+  return { ...intakeResult, sections: totalSections };
+}
+
+async function stageHarvest(run_id, mapResult) {
+  logger.info('Harvest: extracting rights');
+  await updateRunStatus(run_id, 'queued', 'harvest');
+  
+  const { documents, hasSchedule } = mapResult;
+  const benefits = [];
+  
+  if (!documents || !Array.isArray(documents)) {
+    logger.warn('No documents to harvest');
+    return { ...mapResult, benefits };
+  }
+  
+  for (const doc of documents) {
+    if (!doc.text || doc.duplicate_of) continue;
+    
+    // A schedule's coverage table is read by linkScheduleRows, not harvested as a clause
+    const text = doc.schedule_rows?.length ? maskScheduleTables(doc.text, doc.schedule_rows) : doc.text;
+    
+    // Pass display_name, doc_type, and hasSchedule for enrichment
+    const foundBenefits = extractBenefits(
+      text,
+      doc.document_id,
+      doc.page_texts,
+      doc.display_name,
+      doc.doc_type,
+      hasSchedule,
+      doc.page_meta
+    );
+    
+    if (foundBenefits && Array.isArray(foundBenefits)) {
+      benefits.push(...foundBenefits);
+    }
+  }
+  
+  // Periods stated in the general terms apply to every benefit
+  const policyPeriods = [];
+  for (const doc of documents) {
+    if (doc.doc_type !== 'general_terms' || !doc.text || doc.duplicate_of) continue;
+    for (const { offset, ...period } of extractWaitingPeriods(doc.text)) {
+      if (policyPeriods.some(p => p.kind === period.kind)) continue;
+      policyPeriods.push({ ...period, scope: 'policy', evidence: documentQuoteEvidence(doc, offset, period.quote) });
+    }
+  }
+  applyWaitingPeriods(benefits, policyPeriods, mapResult.policyMetadata?.policyStartDate);
+  if (policyPeriods.length > 0) {
+    logger.info('Policy waiting periods', { periods: policyPeriods.map(p => `${p.kind}:${p.days}`) });
+  }
+  
+  // Amounts come from the schedule's table rather than from numbers in the clause text
+  const scheduleRows = documents.flatMap(doc => doc.schedule_rows || []);
+  if (scheduleRows.length > 0) {
+    const linked = linkScheduleRows(benefits, scheduleRows, documents);
+    logger.info('Schedule rows linked', { rows: scheduleRows.length, linked });
+  }
+  
+  // Procedure clauses about one benefit go to it; the rest apply to every claim and go to the run.
+  // A step stated in a procedure clause belongs to the clause even when its sentence was also
+  // harvested as part of a benefit.
+  const stepKey = step => `${step.evidence.document_id}:${step.quote}`;
+  const procedureSteps = new Map();
+  for (const doc of documents) {
+    if (!doc.text || doc.duplicate_of || !CLAIM_PROCEDURE_DOC_TYPES.includes(doc.doc_type || 'policy')) continue;
+    for (const { topic, offset, ...found } of findProcedureSteps(doc.text)) {
+      const step = { ...found, evidence: documentQuoteEvidence(doc, offset, found.quote) };
+      if (!procedureSteps.has(stepKey(step))) procedureSteps.set(stepKey(step), { topic, step });
+    }
+  }
+  const claimSteps = [];
+  let linkedSteps = 0;
+  for (const benefit of benefits) {
+    benefit.actionable_steps = benefit.actionable_steps.filter(step => !procedureSteps.has(stepKey(step)));
+  }
+  for (const { topic, step } of procedureSteps.values()) {
+    const targets = procedureBenefits(topic, benefits);
+    for (const benefit of targets) benefit.actionable_steps.push({ ...step });
+    if (targets.length > 0) linkedSteps++;
+    else claimSteps.push(step);
+  }
+  for (const benefit of benefits) {
+    benefit.actionable_steps = orderClaimSteps(benefit.actionable_steps);
+  }
+  const orderedClaimSteps = orderClaimSteps(claimSteps);
+  if (procedureSteps.size > 0) {
+    logger.info('Claim procedure steps', { run_steps: orderedClaimSteps.length, benefit_steps: linkedSteps });
+  }
+  
+  // Exclusions are linked to the benefits they carve out
+  const exclusionLinks = resolveExclusions(benefits, documents.filter(doc => doc.text && !doc.duplicate_of));
+  if (exclusionLinks > 0) {
+    logger.info('Exclusions linked', { links: exclusionLinks });
+  }
+  
+  // Count by layer
+  const certain = benefits.filter(b => b.layer === 'certain').length;
+  const conditional = benefits.filter(b => b.layer === 'conditional').length;
+  const service = benefits.filter(b => b.layer === 'service').length;
+  
+  logger.info('Harvest complete', { benefits: benefits.length, certain, conditional, service });
+  
+  return { ...mapResult, benefits, claimSteps: orderedClaimSteps };
+}
+
+// Maximum benefits before triggering AI dedup (raised to avoid unnecessary AI calls)
+const MAX_BENEFITS = 500;
+
+// Supabase Edge Function URL for AI-powered deduplication
+const DEDUPE_FUNCTION_URL = `${SUPABASE_URL}/functions/v1/dedupe-benefits`;
+
+async function stageNormalize(run_id, harvestResult) {
+  logger.info('Normalize: standardizing and deduplicating');
+  await updateRunStatus(run_id, 'queued', 'normalize');
+  
+  const { benefits, hasSchedule } = harvestResult;
+  
+  if (!benefits || !Array.isArray(benefits)) {
+    logger.warn('No benefits to normalize');
+    return { ...harvestResult, normalizedBenefits: [] };
+  }
+  
+  logger.debug('Raw benefits', { benefits: benefits.length });
+  
+  // Step 1: Basic normalization
+  let normalizedBenefits = benefits.map((benefit, index) => {
+    // Ensure amounts have proper value_state based on schedule presence
+    let amounts = benefit.amounts || {};
+    if (hasAmountReference(benefit.summary) && !hasSchedule) {
+      amounts = {
+        value_state: 'unknown_schedule_required',
+        values: []
+      };
+    }
+    
+    return {
+      benefit_id: benefit.benefit_id || stableId(run_id, 'benefit', index),
+      title: normalizeHebrewText(benefit.title || 'Untitled Benefit'),
+      summary: normalizeHebrewText(benefit.summary || ''),
+      layer: benefit.layer || 'conditional',
+      status: benefit.status || 'included',
+      evidence_set: benefit.evidence_set || { spans: [] },
+      tags: benefit.tags || [],
+      tag_scores: benefit.tag_scores || {},
+      eligibility: benefit.eligibility || {},
+      amounts: amounts,
+      actionable_steps: benefit.actionable_steps || [],
+      exclusion_links: benefit.exclusion_links || []
+    };
+  });
+  
+  // Step 2: Always run local fuzzy dedup first (fast, no network)
+  const beforeFuzzy = normalizedBenefits.length;
+  normalizedBenefits = fuzzyDeduplication(normalizedBenefits);
+  if (normalizedBenefits.length < beforeFuzzy) {
+    logger.info('Fuzzy dedup', { before: beforeFuzzy, after: normalizedBenefits.length });
+  }
+  
+  // Step 3: Only call AI deduplication if still over the cap
+  // (without a Supabase project there is no edge function to call, so go straight to the fallback)
+  if (normalizedBenefits.length > MAX_BENEFITS && !supabase) {
+    normalizedBenefits = fallbackDeduplication(normalizedBenefits, MAX_BENEFITS);
+  } else if (normalizedBenefits.length > MAX_BENEFITS) {
+    logger.info('Calling AI deduplication', { benefits: normalizedBenefits.length, max_benefits: MAX_BENEFITS });
+    
+    try {
+      const response = await fetch(DEDUPE_FUNCTION_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
+        },
+        body: JSON.stringify({
+          benefits: normalizedBenefits,
+          maxBenefits: MAX_BENEFITS
+        }),
+      });
+      
+      if (response.ok) {
+        const data = await response.json();
+        if (data.benefits && Array.isArray(data.benefits)) {
+          logger.info('AI deduplication', { before: normalizedBenefits.length, after: data.benefits.length, method: data.method });
+          // The edge function may drop or merge benefits that exclusion links point at
+          normalizedBenefits = repointExclusionLinks(data.benefits);
+        }
+      } else {
+        logger.warn('Deduplication failed, using fallback', { http_status: response.status });
+        normalizedBenefits = fallbackDeduplication(normalizedBenefits, MAX_BENEFITS);
+      }
+    } catch (err) {
+      logger.warn('Deduplication error, using fallback', { error: err.message });
+      normalizedBenefits = fallbackDeduplication(normalizedBenefits, MAX_BENEFITS);
+    }
+  }
+  
+  logger.info('Normalize complete', { benefits: normalizedBenefits.length });
+  return { ...harvestResult, normalizedBenefits };
+}
+
+/**
+ * Fuzzy deduplication - catches near-duplicates by normalizing titles more aggressively
+ * Runs locally, no network calls, very fast
+ */
+function fuzzyDeduplication(benefits) {
+  const seen = new Map();
+  // Merged benefit id -> id of the benefit it was merged into, for exclusion links
+  const mergedInto = new Map();
+  
+  for (const benefit of benefits) {
+    // Aggressive normalization: strip punctuation, numbers, whitespace, common prefixes
+    const key = (benefit.title || '')
+      .replace(/[""״׳'`\-–—:;,.\u200F\u200E]/g, '')  // Remove punctuation & bidi marks
+      .replace(/\d+/g, '')                              // Remove numbers
+      .replace(/\s+/g, '')                               // Remove whitespace
+      .toLowerCase()
+      .replace(/^(כיסוי|זכות|שירות|הטבה|ביטוח)/g, '')   // Strip common Hebrew prefixes
+      .substring(0, 30);
+    
+    if (!key) continue;
+    
+    if (!seen.has(key)) {
+      seen.set(key, benefit);
+    } else {
+      // Merge: keep longer summary, merge evidence spans
+      const existing = seen.get(key);
+      mergedInto.set(benefit.benefit_id, existing.benefit_id);
+      if ((benefit.summary || '').length > (existing.summary || '').length) {
+        existing.summary = benefit.summary;
+      }
+      const newSpans = benefit.evidence_set?.spans || [];
+      existing.evidence_set.spans = [
+        ...existing.evidence_set.spans,
+        ...newSpans.filter(ns => 
+          !existing.evidence_set.spans.some(es => es.quote === ns.quote)
+        )
+      ];
+      // Schedule amounts beat amounts scraped from clause text
+      if (benefit.amounts?.source === 'schedule' && existing.amounts?.source !== 'schedule') {
+        existing.amounts = benefit.amounts;
+      }
+      // Merge claim steps not already listed
+      const newSteps = (benefit.actionable_steps || [])
+        .filter(step => !(existing.actionable_steps || []).some(es => es.quote === step.quote));
+      if (newSteps.length > 0) {
+        existing.actionable_steps = orderClaimSteps([...(existing.actionable_steps || []), ...newSteps]);
+      }
+      existing.exclusion_links = [...(existing.exclusion_links || []), ...(benefit.exclusion_links || [])];
+      // Merge tags, keeping each tag's higher score
+      if (benefit.tags?.length) {
+        const scores = { ...existing.tag_scores };
+        for (const [tag, score] of Object.entries(benefit.tag_scores || {})) {
+          scores[tag] = Math.max(scores[tag] || 0, score);
+        }
+        existing.tag_scores = scores;
+        existing.tags = [...new Set([...(existing.tags || []), ...benefit.tags])]
+          .sort((a, b) => (scores[b] || 0) - (scores[a] || 0));
+      }
+    }
+  }
+  
+  // Cap evidence spans to max 3 per benefit for cleaner UI
+  const MAX_EVIDENCE = 3;
+  const results = Array.from(seen.values());
+  for (const b of results) {
+    if (b.evidence_set?.spans?.length > MAX_EVIDENCE) {
+      b.evidence_set.spans = capEvidenceSpansWorker(b.evidence_set.spans, MAX_EVIDENCE);
+    }
+  }
+  return repointExclusionLinks(results, mergedInto);
+}
+
+/**
+ * Point exclusion links at the benefits that survived deduplication, once each. mergedInto maps
+ * a merged benefit's id to the id it was merged into. Links to a benefit that is gone are dropped,
+ * and so are links that no longer join an included benefit to an exclusion (a merge can join an
+ * exclusion to an included benefit of the same title).
+ */
+function repointExclusionLinks(benefits, mergedInto = new Map()) {
+  const statusById = new Map(benefits.map(b => [b.benefit_id, b.status]));
+  for (const b of benefits) {
+    if (!b.exclusion_links?.length) continue;
+    const linked = new Set();
+    b.exclusion_links = b.exclusion_links
+      .map(link => ({ ...link, benefit_id: mergedInto.get(link.benefit_id) || link.benefit_id }))
+      .filter(link => {
+        const key = `${link.relation}:${link.benefit_id}:${link.quote}`;
+        const target = statusById.get(link.benefit_id);
+        const fits = link.relation === 'excluded_by'
+          ? b.status !== 'excluded' && target === 'excluded'
+          : b.status === 'excluded' && target !== undefined && target !== 'excluded';
+        if (!fits || linked.has(key)) return false;
+        linked.add(key);
+        return true;
+      });
+  }
+  return benefits;
+}
+
+/**
+ * Cap evidence spans: deduplicate by quote, then round-robin across documents for diversity.
+ */
+function capEvidenceSpansWorker(spans, max) {
+  // Deduplicate
+  const seen = new Set();
+  const unique = spans.filter(s => {
+    const q = (s.quote || '').trim();
+    if (!q || seen.has(q)) return false;
+    seen.add(q);
+    return true;
+  });
+  if (unique.length <= max) return unique;
+
+  // Group by document, sort by page within each
+  const byDoc = new Map();
+  for (const s of unique) {
+    const docId = s.document_id || '_';
+    if (!byDoc.has(docId)) byDoc.set(docId, []);
+    byDoc.get(docId).push(s);
+  }
+  for (const arr of byDoc.values()) {
+    arr.sort((a, b) => (a.page || 0) - (b.page || 0));
+  }
+
+  // Round-robin for diversity
+  const result = [];
+  const iters = Array.from(byDoc.values()).map(arr => ({ arr, idx: 0 }));
+  while (result.length < max) {
+    let added = false;
+    for (const it of iters) {
+      if (result.length >= max) break;
+      if (it.idx < it.arr.length) { result.push(it.arr[it.idx]); it.idx++; added = true; }
+    }
+    if (!added) break;
+  }
+  return result;
+}
+
+/**
+ * Fallback deduplication when AI is unavailable
+ */
+function fallbackDeduplication(benefits, maxCount) {
+  const seen = new Map();
+  const mergedInto = new Map();
+  
+  for (const benefit of benefits) {
+    // Create a normalized key from first 50 chars of title
+    const key = (benefit.title || '')
+      .substring(0, 50)
+      .toLowerCase()
+      .replace(/[^\u0590-\u05FFa-z0-9]/g, '');
+    
+    if (!seen.has(key)) {
+      seen.set(key, benefit);
+    } else {
+      // Merge evidence spans from duplicate
       const existing = seen.get(key);
-      if ((benefit.summary || '').length > (existing.summary || '').length) {
-        existing.summary = benefit.summary;
+      mergedInto.set(benefit.benefit_id, existing.benefit_id);
+      existing.exclusion_links = [...(existing.exclusion_links || []), ...(benefit.exclusion_links || [])];
+      const newSpans = benefit.evidence_set?.spans || [];
+      existing.evidence_set.spans = [
+        ...existing.evidence_set.spans,
+        ...newSpans.filter(ns => 
+          !existing.evidence_set.spans.some(es => es.quote === ns.quote)
+        )
+      ];
+    }
+    
+    if (seen.size >= maxCount) break;
+  }
+  
+  // Cap evidence spans
+  const results = Array.from(seen.values());
+  for (const b of results) {
+    if (b.evidence_set?.spans?.length > 5) {
+      b.evidence_set.spans = capEvidenceSpansWorker(b.evidence_set.spans, 5);
+    }
+  }
+  // Links to benefits past the cap are dropped along with them
+  return repointExclusionLinks(results, mergedInto);
+}
+
+async function stageValidate(run_id, normalizeResult) {
+  logger.info('Validate: checking quality');
+  await updateRunStatus(run_id, 'queued', 'validate');
+  
+  const { normalizedBenefits, missingRequirements } = normalizeResult;
+  
+  if (!normalizedBenefits || !Array.isArray(normalizedBenefits)) {
+    logger.warn('No benefits to validate');
+    return { 
+      ...normalizeResult, 
+      validatedBenefits: { valid: [], invalid: [], score: 0 },
+      qualityMetrics: { evidence_coverage_ratio: 0, benefits_count: 0, warnings: [] }
+    };
+  }
+  
+  // REQUIREMENT: 100% evidence coverage - filter benefits with valid evidence
+  const benefitsWithEvidence = normalizedBenefits.filter(b => {
+    const spans = b.evidence_set?.spans;
+    return spans && Array.isArray(spans) && spans.length > 0 && 
+           spans.every(s => s.quote && s.document_id && s.page);
+  });
+  
+  // Benefits without complete evidence (rejected)
+  const benefitsWithoutEvidence = normalizedBenefits.filter(b => {
+    const spans = b.evidence_set?.spans;
+    return !spans || !Array.isArray(spans) || spans.length === 0 ||
+           !spans.every(s => s.quote && s.document_id && s.page);
+  });
+  
+  // Calculate quality metrics
+  const evidenceCoverageRatio = normalizedBenefits.length > 0 
+    ? benefitsWithEvidence.length / normalizedBenefits.length 
+    : 0;
+  
+  const warnings = [];
+  
+  // Add warnings based on missing requirements
+  if (missingRequirements?.some(m => m.code === 'schedule_required')) {
+    warnings.push('סכומים ותקרות לא מוצגים - חסר דף פרטי ביטוח');
+  }
+  
+  if (benefitsWithoutEvidence.length > 0) {
+    warnings.push(`${benefitsWithoutEvidence.length} זכויות נדחו עקב חוסר ראיות מלאות`);
+  }
+  
+  const qualityMetrics = {
+    evidence_coverage_ratio: evidenceCoverageRatio,
+    benefits_count: benefitsWithEvidence.length,
+    warnings
+  };
+  
+  logger.info('Validate complete', {
+    valid: benefitsWithEvidence.length,
+    invalid: benefitsWithoutEvidence.length,
+    evidence_coverage_ratio: evidenceCoverageRatio,
+  });
+  
+  return {
+    ...normalizeResult,
+    validatedBenefits: {
+      valid: benefitsWithEvidence,
+      invalid: benefitsWithoutEvidence,
+      score: evidenceCoverageRatio * 100
+    },
+    qualityMetrics
+  };
+}
+
+async function stageExport(run_id, validateResult) {
+  logger.info('Export: saving benefits');
+  await updateRunStatus(run_id, 'queued', 'export');
+  
+  const { validatedBenefits, qualityMetrics, documents, policyFingerprint, claimSteps } = validateResult;
+  const benefits = validatedBenefits?.valid || [];
+  
+  if (benefits.length === 0) {
+    logger.warn('No benefits to export');
+  }
+  
+  const rows = benefits.map((b) => {
+    // Validate status is one of allowed values
+    const status = b.status === 'excluded' ? 'excluded' : 'included';
+    return {
+      benefit_id: b.benefit_id,
+      run_id: run_id,
+      layer: b.layer,
+      title: b.title,
+      summary: b.summary,
+      status: status, // 'included' or 'excluded' per benefits_status_check constraint
+      evidence_set: b.evidence_set,
+      tags: b.tags,
+      tag_scores: b.tag_scores,
+      eligibility: b.eligibility,
+      amounts: b.amounts,
+      actionable_steps: b.actionable_steps,
+      exclusion_links: b.exclusion_links
+    };
+  });
+  
+  // All or nothing: rows from an earlier attempt or run are replaced, and a failure
+  // fails the stage so the run is never marked completed with a partial export
+  await adapters.benefits.replaceBenefits(run_id, rows);
+  
+  // Calculate total pages processed
+  const totalPages = (documents || []).reduce((sum, d) => sum + (d.pages || 1), 0);
+  
+  // Update run with quality metrics
+  const runQualityMetrics = {
+    total_pages_processed: totalPages,
+    extraction_confidence: qualityMetrics?.evidence_coverage_ratio || 0,
+    validation_score: qualityMetrics?.evidence_coverage_ratio || 0
+  };
+  
+  try {
+    await adapters.runs.updateRun(run_id, { quality_metrics: runQualityMetrics });
+  } catch (error) {
+    logger.warn('Failed to save quality metrics', { error: error.message });
+  }
+  
+  // Claim steps go in their own update, so a schema without the column still stores the metrics
+  try {
+    await adapters.runs.updateRun(run_id, { claim_steps: claimSteps || [] });
+  } catch (error) {
+    logger.warn('Failed to save claim steps', { error: error.message });
+  }
+  
+  logger.info('Export complete', { benefits_exported: rows.length });
+  return { benefitCount: rows.length };
+}
+
+// ============================================================
+// METRICS
+// ============================================================
+
+// Prometheus metric definitions; values are kept in memory per label set
+const METRIC_DEFINITIONS = {
+  policy_worker_jobs_processed_total: { type: 'counter', help: 'Jobs whose pipeline completed' },
+  policy_worker_jobs_failed_total: { type: 'counter', help: 'Failed job attempts by error class' },
+  policy_worker_jobs_retried_total: { type: 'counter', help: 'Retries scheduled with backoff' },
+  policy_worker_jobs_dead_lettered_total: { type: 'counter', help: 'Jobs moved to the dead-letter queue' },
+  policy_worker_stage_duration_seconds: {
+    type: 'histogram',
+    help: 'Pipeline stage duration',
+    buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  },
+  policy_worker_benefits_per_run: {
+    type: 'histogram',
+    help: 'Benefits exported per completed run',
+    buckets: [0, 5, 10, 25, 50, 100, 250, 500],
+  },
+  policy_worker_evidence_coverage_ratio: {
+    type: 'histogram',
+    help: 'Share of normalized benefits with complete evidence (stageValidate)',
+    buckets: [0.5, 0.75, 0.9, 0.95, 0.99, 1],
+  },
+};
+
+// metric name -> Map(label key -> value | { counts, sum, count, labels })
+const metricValues = new Map(Object.keys(METRIC_DEFINITIONS).map(name => [name, new Map()]));
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')}}`;
+}
+
+function incrementCounter(name, labels = {}, value = 1) {
+  const values = metricValues.get(name);
+  const key = formatMetricLabels(labels);
+  values.set(key, (values.get(key) || 0) + value);
+}
+
+function observeHistogram(name, value, labels = {}) {
+  const { buckets } = METRIC_DEFINITIONS[name];
+  const values = metricValues.get(name);
+  const key = formatMetricLabels(labels);
+  if (!values.has(key)) {
+    values.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+  }
+  const histogram = values.get(key);
+  buckets.forEach((le, i) => {
+    if (value <= le) histogram.counts[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format.
+ * `gauges` are sampled at scrape time: [{ name, help, samples: [{ labels, value }] }]
+ */
+function renderMetrics(gauges = []) {
+  const lines = [];
+  
+  for (const gauge of gauges) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`, `# TYPE ${gauge.name} gauge`);
+    for (const sample of gauge.samples) {
+      lines.push(`${gauge.name}${formatMetricLabels(sample.labels || {})} ${sample.value}`);
+    }
+  }
+  
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+    
+    for (const [key, value] of metricValues.get(name)) {
+      if (definition.type === 'counter') {
+        lines.push(`${name}${key} ${value}`);
+        continue;
+      }
+      definition.buckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${formatMetricLabels({ ...value.labels, le })} ${value.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatMetricLabels({ ...value.labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${name}_sum${key} ${value.sum}`);
+      lines.push(`${name}_count${key} ${value.count}`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Run one pipeline stage, tagging its log lines with the stage and recording its duration
+ */
+async function timeStage(stage, fn) {
+  return withLogContext({ stage }, async () => {
+    const startedAt = process.hrtime.bigint();
+    let failed = true;
+    try {
+      const result = await fn();
+      failed = false;
+      return result;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      observeHistogram('policy_worker_stage_duration_seconds', seconds, { stage });
+      logger[failed ? 'warn' : 'info'](failed ? 'Stage failed' : 'Stage completed', {
+        duration_ms: Math.round(seconds * 1000),
+      });
+    }
+  });
+}
+
+// ============================================================
+// STAGE CHECKPOINTS
+// ============================================================
+
+/**
+ * Same set of documents as when the checkpoint was taken. The fingerprint itself
+ * needs every file downloaded, which is the work a checkpoint exists to skip.
+ */
+function sameDocumentSet(documents, documentIds = []) {
+  const listed = documents.map(d => d.document_id).sort();
+  const saved = [...documentIds].sort();
+  return listed.length === saved.length && listed.every((id, i) => id === saved[i]);
+}
+
+/**
+ * Load the run's latest checkpoint if it can still be trusted, or null to start from intake
+ */
+async function loadCheckpoint(run_id) {
+  let checkpoint;
+  try {
+    checkpoint = await adapters.checkpoints.getCheckpoint(run_id);
+  } catch (error) {
+    logger.warn('Failed to load checkpoint, starting from intake', { error: error.message });
+    return null;
+  }
+  if (!checkpoint) return null;
+  
+  if (checkpoint.worker_version !== WORKER_VERSION) {
+    logger.info('Ignoring checkpoint from another worker version', { checkpoint_version: checkpoint.worker_version });
+    return null;
+  }
+  
+  const documents = await adapters.storage.listDocuments(run_id);
+  if (!sameDocumentSet(documents, checkpoint.result?.documentIds)) {
+    logger.info('Documents changed since checkpoint, starting from intake');
+    return null;
+  }
+  
+  return checkpoint;
+}
+
+/**
+ * Persist a stage's output. Checkpoints only save work on retry, so failures are logged, not thrown.
+ */
+async function saveCheckpoint(run_id, stage, result) {
+  try {
+    await adapters.checkpoints.saveCheckpoint({
+      run_id,
+      policy_fingerprint: result.policyFingerprint,
+      stage,
+      worker_version: WORKER_VERSION,
+      result,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.warn('Failed to save checkpoint', { error: error.message });
+  }
+}
+
+async function clearCheckpoints(run_id) {
+  try {
+    await adapters.checkpoints.clearCheckpoints(run_id);
+  } catch (error) {
+    logger.warn('Failed to clear checkpoints', { error: error.message });
+  }
+}
+
+// ============================================================
+// RESULT CACHE
+// ============================================================
+
+/**
+ * Copy of a cached value with its evidence re-pointed to this run: evidence and benefit ids are
+ * derived again for the run wherever they appear (spans, conditions, claim steps, amounts citing
+ * a span, exclusion links) and document ids are mapped onto our documents. Returns null when
+ * evidence cites a document that has no counterpart.
+ */
+function remapCachedEvidence(value, run_id, documentMap) {
+  let complete = true;
+  const remap = (item) => {
+    if (Array.isArray(item)) return item.map(remap);
+    if (!item || typeof item !== 'object') return item;
+    const copy = {};
+    for (const [key, field] of Object.entries(item)) copy[key] = remap(field);
+    if (typeof item.evidence_id === 'string') copy.evidence_id = stableId(run_id, item.evidence_id);
+    if (typeof item.benefit_id === 'string') copy.benefit_id = stableId(run_id, item.benefit_id);
+    if (item.document_id !== undefined) {
+      const doc = documentMap.get(item.document_id);
+      if (!doc) {
+        complete = false;
+        return copy;
       }
-      const newSpans = benefit.evidence_set?.spans || [];
-      existing.evidence_set.spans = [
-        ...existing.evidence_set.spans,
-        ...newSpans.filter(ns => 
-          !existing.evidence_set.spans.some(es => es.quote === ns.quote)
-        )
-      ];
-      // Merge tags
-      if (benefit.tags?.length) {
-        existing.tags = [...new Set([...(existing.tags || []), ...benefit.tags])];
+      copy.document_id = doc.document_id;
+      if (item.document_name !== undefined) copy.document_name = doc.display_name || item.document_name;
+    }
+    return copy;
+  };
+  const result = remap(value);
+  return complete ? result : null;
+}
+
+/**
+ * Clone the benefits of a completed run with the same policy fingerprint, worker version
+ * and rule version. Returns null on a miss; lookup failures are logged and count as a miss.
+ */
+async function loadCachedResult(run_id, policyFingerprint, downloaded) {
+  try {
+    const sourceRun = await adapters.runs.findCompletedRun({
+      policy_fingerprint: policyFingerprint,
+      worker_version: WORKER_VERSION,
+      rules_version: RULES_VERSION,
+      exclude_run_id: run_id
+    });
+    if (!sourceRun) return null;
+    
+    // Readability and duplicate warnings depend on parse output, which a cache hit skips
+    const parseWarnings = ['document_unreadable', 'duplicate_document'];
+    if (sourceRun.missing_requirements?.some(code => parseWarnings.includes(code))) return null;
+    
+    // Evidence points at documents, so every cached document must map onto one of ours
+    // with the same content and uploaded type (the type changes how benefits are extracted)
+    const sourceDocuments = await adapters.storage.listDocuments(sourceRun.run_id);
+    const documentMap = new Map();
+    const sourceDocumentById = new Map();
+    for (const { doc, sha256 } of downloaded) {
+      const match = sourceDocuments.find(s =>
+        s.sha256 === sha256 &&
+        (declaredDocType(s) || 'policy') === (declaredDocType(doc) || 'policy') &&
+        !documentMap.has(s.document_id)
+      );
+      if (!match) return null;
+      documentMap.set(match.document_id, doc);
+      sourceDocumentById.set(doc.document_id, match);
+    }
+    
+    const sourceBenefits = await adapters.benefits.listBenefits(sourceRun.run_id);
+    const benefits = [];
+    for (const benefit of sourceBenefits) {
+      const copy = remapCachedEvidence(benefit, run_id, documentMap);
+      if (!copy) return null;
+      benefits.push(copy);
+    }
+    const claimSteps = remapCachedEvidence(sourceRun.claim_steps || [], run_id, documentMap);
+    if (!claimSteps) return null;
+    
+    return { sourceRun, benefits, claimSteps, sourceDocumentById };
+  } catch (error) {
+    logger.warn('Result cache lookup failed', { error: error.message });
+    return null;
+  }
+}
+
+// ============================================================
+// MAIN PIPELINE
+// ============================================================
+
+// Stages before export, in order. Each returns its input plus its own output,
+// so the latest checkpoint holds everything the remaining stages need.
+const CHECKPOINTED_STAGES = [
+  ['intake', (run_id, _result, options) => stageIntake(run_id, options)],
+  ['map', stageMap],
+  ['harvest', stageHarvest],
+  ['normalize', stageNormalize],
+  ['validate', stageValidate],
+];
+
+/**
+ * Run the pipeline for a run, resuming after the last checkpointed stage.
+ * forceRerun discards checkpoints and starts again from intake.
+ */
+async function processPolicyPipeline(run_id, { forceRerun = false } = {}) {
+  return withLogContext({ run_id: String(run_id) }, () => runPipeline(run_id, forceRerun));
+}
+
+async function runPipeline(run_id, forceRerun) {
+  const startedAt = Date.now();
+  logger.info('Pipeline started', { force_rerun: forceRerun || undefined });
+  
+  // Stage currently running, reported when the pipeline fails
+  let stage = 'intake';
+  
+  try {
+    let checkpoint = null;
+    if (forceRerun) {
+      await clearCheckpoints(run_id);
+    } else {
+      checkpoint = await loadCheckpoint(run_id);
+    }
+    
+    let result = checkpoint?.result;
+    let next = 0;
+    if (checkpoint) {
+      next = CHECKPOINTED_STAGES.findIndex(([name]) => name === checkpoint.stage) + 1;
+      logger.info('Resuming from checkpoint', {
+        checkpoint_stage: checkpoint.stage,
+        policy_fingerprint: checkpoint.policy_fingerprint,
+      });
+    }
+    
+    for (const [name, runStage] of CHECKPOINTED_STAGES.slice(next)) {
+      stage = name;
+      result = await timeStage(name, () => runStage(run_id, result, { useCache: !forceRerun }));
+      
+      if (name === 'intake') {
+        if (!result.documents || result.documents.length === 0) {
+          throw new Error('No documents could be processed');
+        }
+        
+        // Check for blockers
+        const blockers = result.missingRequirements?.filter(m => m.severity === 'blocker') || [];
+        if (blockers.length > 0) {
+          throw new Error(`Blocking issues: ${blockers.map(b => b.message).join('; ')}`);
+        }
       }
+      
+      // A cached result already holds validated benefits
+      if (result.cachedFromRunId) {
+        await saveCheckpoint(run_id, 'validate', result);
+        break;
+      }
+      
+      await saveCheckpoint(run_id, name, result);
     }
+    
+    stage = 'export';
+    const exportResult = await timeStage('export', () => stageExport(run_id, result));
+    
+    // Mark run as completed
+    await updateRunStatus(run_id, 'completed', 'export');
+    await clearCheckpoints(run_id);
+    
+    observeHistogram('policy_worker_benefits_per_run', exportResult.benefitCount);
+    observeHistogram('policy_worker_evidence_coverage_ratio', result.qualityMetrics?.evidence_coverage_ratio || 0);
+    
+    logger.info('Pipeline completed', {
+      benefits_exported: exportResult.benefitCount,
+      resumed_from: checkpoint?.stage,
+      cached_from_run_id: result.cachedFromRunId,
+      duration_ms: Date.now() - startedAt,
+    });
+    
+    return {
+      success: true,
+      benefitCount: exportResult.benefitCount,
+      missingRequirements: result.missingRequirements,
+      qualityMetrics: result.qualityMetrics
+    };
+    
+  } catch (error) {
+    if (error.aborted) throw error;
+    logger.error('Pipeline failed', { stage, error: error.message, duration_ms: Date.now() - startedAt });
+    
+    // Mark run as failed
+    await updateRunStatus(run_id, 'failed', stage, { error_message: error.message });
+    
+    error.stage = stage;
+    throw error;
   }
+}
+
+// ============================================================
+// ERROR CLASSIFICATION
+// ============================================================
+
+// Failures that will fail again no matter how often they are retried
+const PERMANENT_ERROR_PATTERNS = [
+  /No documents found for this run/,
+  /No documents could be processed/,
+  /Blocking issues/,
+  // pdf-parse / pdf.js parse failures
+  /Invalid PDF|bad XRef|Invalid XRef|FormatError|PasswordException|No password given/i,
+  // Other input formats
+  /Unsupported document format|Invalid ZIP|Unsupported ZIP|DOCX has no/,
+];
+
+// Node / undici network error codes worth retrying
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT',
+];
+
+/**
+ * Classify an error as 'retryable' (network, 5xx, rate limits) or 'permanent'
+ */
+function classifyError(error) {
+  if (!error) return 'retryable';
+  const status = Number(error.status);
+  const code = error.code || error.cause?.code;
+  const message = error.message || '';
+  
+  if (status >= 500 || status === 429 || status === 408) return 'retryable';
+  if (RETRYABLE_ERROR_CODES.includes(code)) return 'retryable';
+  if (PERMANENT_ERROR_PATTERNS.some(p => p.test(message))) return 'permanent';
+  if (status >= 400 && status < 500) return 'permanent';
+  
+  // Anything unrecognised gets the benefit of the doubt
+  return 'retryable';
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^(attempt - 1), capped, then randomised
+ * between 50% and 100% so retries from a burst of failures spread out
+ */
+function computeRetryDelay(attempt) {
+  const exponential = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+// ============================================================
+// JOB PROCESSING
+// ============================================================
+
+async function processJob(job) {
+  const { run_id, attempt = 1 } = job;
+  return withLogContext({ run_id: String(run_id), attempt }, () => runJob(run_id, attempt, job));
+}
+
+async function runJob(run_id, attempt, job) {
+  logger.info('Processing job', { max_retries: MAX_RETRIES });
   
-  // Cap evidence spans to max 3 per benefit for cleaner UI
-  const MAX_EVIDENCE = 3;
-  const results = Array.from(seen.values());
-  for (const b of results) {
-    if (b.evidence_set?.spans?.length > MAX_EVIDENCE) {
-      b.evidence_set.spans = capEvidenceSpansWorker(b.evidence_set.spans, MAX_EVIDENCE);
+  try {
+    // Verify run exists
+    const run = await adapters.runs.getRun(run_id);
+    
+    if (!run) {
+      logger.warn('Run not found, skipping');
+      return;
+    }
+    
+    // A failed run is only skipped for fresh jobs; retries exist precisely to re-run it.
+    // force_rerun jobs reprocess the run whatever its status.
+    const finished = run.status === 'completed' || (run.status === 'failed' && attempt === 1);
+    if (finished && !job.force_rerun) {
+      logger.info('Run already finished, skipping', { run_status: run.status });
+      return;
+    }
+    
+    // Process the pipeline
+    await processPolicyPipeline(run_id, { forceRerun: Boolean(job.force_rerun) });
+    incrementCounter('policy_worker_jobs_processed_total');
+    
+  } catch (error) {
+    // The job was already re-queued by shutdown
+    if (error.aborted) {
+      logger.warn('Pipeline aborted by shutdown');
+      return;
+    }
+    const errorClass = classifyError(error);
+    error.errorClass = errorClass;
+    logger.error('Job failed', { stage: error.stage, error: error.message, error_class: errorClass });
+    incrementCounter('policy_worker_jobs_failed_total', { error_class: errorClass });
+    
+    if (errorClass === 'permanent') {
+      logger.error('Permanent error, not retrying');
+      await deadLetterJob(job, error);
+    } else if (attempt < MAX_RETRIES) {
+      await scheduleRetry(job, error);
+    } else {
+      logger.error('Job exhausted retries');
+      await deadLetterJob(job, error);
+    }
+    
+    throw error;
+  }
+}
+
+// ============================================================
+// DELAYED RETRIES
+// ============================================================
+
+/**
+ * Schedule the next attempt of a failed job after an exponential backoff delay
+ */
+async function scheduleRetry(job, error) {
+  const nextAttempt = (job.attempt || 1) + 1;
+  const delay = computeRetryDelay(job.attempt || 1);
+  const dueAt = Date.now() + delay;
+  
+  const retryJob = {
+    ...job,
+    attempt: nextAttempt,
+    // Retries resume from the last checkpoint even when the first attempt forced a full rerun
+    force_rerun: undefined,
+    queued_at: new Date().toISOString(),
+    retry_at: new Date(dueAt).toISOString(),
+    last_error: error.message
+  };
+  
+  await redis.zadd(DELAYED_QUEUE, { score: dueAt, member: JSON.stringify(retryJob) });
+  
+  // Keep the run open while the retry is pending instead of showing it as failed
+  await updateRunStatus(job.run_id, 'queued', error.stage || 'intake', {
+    error_message: `Attempt ${job.attempt || 1} failed, retrying: ${error.message}`
+  });
+  
+  incrementCounter('policy_worker_jobs_retried_total');
+  logger.info('Retry scheduled', { next_attempt: nextAttempt, delay_ms: delay });
+}
+
+/**
+ * Move retries whose due time has passed onto the main queue.
+ * ZREM decides ownership, so two pollers never promote the same job twice.
+ */
+async function promoteDueRetries() {
+  const due = await redis.zrange(DELAYED_QUEUE, 0, Date.now(), { byScore: true, offset: 0, count: 50 });
+  let promoted = 0;
+  
+  for (const member of due) {
+    if (await redis.zrem(DELAYED_QUEUE, member)) {
+      await redis.lpush(QUEUE_NAME, member);
+      promoted++;
     }
   }
-  return results;
+  
+  return promoted;
 }
 
+// ============================================================
+// DEAD-LETTER QUEUE
+// ============================================================
+
 /**
- * Cap evidence spans: deduplicate by quote, then round-robin across documents for diversity.
+ * Park an exhausted job on the dead-letter list with the error that killed it
  */
-function capEvidenceSpansWorker(spans, max) {
-  // Deduplicate
-  const seen = new Set();
-  const unique = spans.filter(s => {
-    const q = (s.quote || '').trim();
-    if (!q || seen.has(q)) return false;
-    seen.add(q);
-    return true;
+async function deadLetterJob(job, error) {
+  const entry = {
+    dead_id: uuidv4(),
+    run_id: job.run_id,
+    job,
+    attempts: job.attempt || 1,
+    stage: error.stage || null,
+    error_class: error.errorClass || classifyError(error),
+    error: error.message,
+    stack: error.stack || null,
+    worker_id: WORKER_ID,
+    worker_version: WORKER_VERSION,
+    failed_at: new Date().toISOString()
+  };
+  
+  await redis.lpush(DEAD_LETTER_QUEUE, JSON.stringify(entry));
+  incrementCounter('policy_worker_jobs_dead_lettered_total');
+  logger.error('Moved to dead-letter queue', { dead_id: entry.dead_id });
+}
+
+/**
+ * Read dead-letter entries, newest first. Each comes back with the raw string stored in Redis.
+ */
+async function listDeadJobs(limit = -1) {
+  const items = await redis.lrange(DEAD_LETTER_QUEUE, 0, limit > 0 ? limit - 1 : -1);
+  return items.map(raw => {
+    try {
+      return { ...JSON.parse(raw), raw };
+    } catch {
+      return { dead_id: null, error: 'Unparseable dead-letter entry', raw };
+    }
   });
-  if (unique.length <= max) return unique;
+}
 
-  // Group by document, sort by page within each
-  const byDoc = new Map();
-  for (const s of unique) {
-    const docId = s.document_id || '_';
-    if (!byDoc.has(docId)) byDoc.set(docId, []);
-    byDoc.get(docId).push(s);
+/**
+ * Find dead-letter entries by dead_id or run_id
+ */
+async function findDeadJobs(id) {
+  const entries = await listDeadJobs();
+  return entries.filter(e => e.dead_id === id || e.run_id === id);
+}
+
+/**
+ * Put a dead job back on the queue as a fresh first attempt and reopen its run
+ */
+async function requeueDeadJob(entry) {
+  const removed = await redis.lrem(DEAD_LETTER_QUEUE, 1, entry.raw);
+  if (!removed) return false;
+  
+  await updateRunStatus(entry.run_id, 'queued', 'intake', { error_message: null });
+  await redis.lpush(QUEUE_NAME, JSON.stringify({
+    run_id: entry.run_id,
+    attempt: 1,
+    queued_at: new Date().toISOString(),
+    requeued_from: entry.dead_id
+  }));
+  return true;
+}
+
+async function purgeDeadJob(entry) {
+  return (await redis.lrem(DEAD_LETTER_QUEUE, 1, entry.raw)) > 0;
+}
+
+// ============================================================
+// RELIABLE QUEUE
+// ============================================================
+
+const PROCESSING_LIST = `${PROCESSING_LIST_PREFIX}${WORKER_ID}`;
+const LEASE_KEY = `${LEASE_KEY_PREFIX}${WORKER_ID}`;
+const REAPER_LOCK_KEY = `${QUEUE_NAME}:reaper-lock`;
+
+/**
+ * Mark this worker as alive. The lease only expires if the process stops renewing it.
+ */
+async function renewLease() {
+  await redis.sadd(WORKERS_SET, WORKER_ID);
+  await redis.set(LEASE_KEY, new Date().toISOString(), { ex: VISIBILITY_TIMEOUT });
+}
+
+/**
+ * Atomically move the next job from the queue into this worker's processing list
+ */
+async function claimJob() {
+  return redis.lmove(QUEUE_NAME, PROCESSING_LIST, 'right', 'left');
+}
+
+/**
+ * Remove a finished job from the processing list (retries are queued separately by processJob)
+ */
+async function ackJob(jobData) {
+  await redis.lrem(PROCESSING_LIST, 1, jobData);
+}
+
+/**
+ * Move every job in a worker's processing list back onto the queue
+ */
+async function requeueProcessingList(workerId) {
+  const list = `${PROCESSING_LIST_PREFIX}${workerId}`;
+  let count = 0;
+  while (await redis.lmove(list, QUEUE_NAME, 'right', 'left')) {
+    count++;
   }
-  for (const arr of byDoc.values()) {
-    arr.sort((a, b) => (a.page || 0) - (b.page || 0));
+  return count;
+}
+
+/**
+ * Drop this worker's lease and registration so the reaper does not wait on it
+ */
+async function releaseLease() {
+  await redis.del(LEASE_KEY);
+  await redis.srem(WORKERS_SET, WORKER_ID);
+}
+
+/**
+ * Re-queue jobs held by workers whose lease has expired
+ */
+async function reapExpiredLeases() {
+  const workers = await redis.smembers(WORKERS_SET);
+  
+  for (const workerId of workers) {
+    if (workerId === WORKER_ID) continue;
+    if (await redis.exists(`${LEASE_KEY_PREFIX}${workerId}`)) continue;
+    
+    const requeued = await requeueProcessingList(workerId);
+    if (requeued > 0) {
+      logger.warn('Re-queued jobs from expired worker', { expired_worker_id: workerId, jobs: requeued });
+    }
+    await redis.srem(WORKERS_SET, workerId);
   }
+}
 
-  // Round-robin for diversity
-  const result = [];
-  const iters = Array.from(byDoc.values()).map(arr => ({ arr, idx: 0 }));
-  while (result.length < max) {
-    let added = false;
-    for (const it of iters) {
-      if (result.length >= max) break;
-      if (it.idx < it.arr.length) { result.push(it.arr[it.idx]); it.idx++; added = true; }
+/**
+ * Re-queue runs stuck in 'queued' whose updated_at is older than STALE_RUN_TIMEOUT
+ * and that are neither waiting in the queue nor held by a live worker
+ */
+async function requeueStaleRuns() {
+  const cutoff = new Date(Date.now() - STALE_RUN_TIMEOUT).toISOString();
+  const staleRuns = await adapters.runs.listStaleRuns(cutoff);
+  if (staleRuns.length === 0) return;
+  
+  const workers = await redis.smembers(WORKERS_SET);
+  const lists = [QUEUE_NAME, ...workers.map(id => `${PROCESSING_LIST_PREFIX}${id}`)];
+  const pendingRunIds = new Set();
+  
+  const items = [];
+  for (const list of lists) {
+    items.push(...await redis.lrange(list, 0, -1));
+  }
+  items.push(...await redis.zrange(DELAYED_QUEUE, 0, -1));
+  
+  for (const item of items) {
+    try {
+      pendingRunIds.add(JSON.parse(item).run_id);
+    } catch {
+      // Unparseable entries are dealt with when a worker claims them
     }
-    if (!added) break;
   }
-  return result;
+  
+  for (const run of staleRuns) {
+    if (pendingRunIds.has(run.run_id)) continue;
+    
+    logger.warn('Re-queuing stale run', { run_id: run.run_id, stage: run.stage, updated_at: run.updated_at });
+    await redis.lpush(QUEUE_NAME, JSON.stringify({
+      run_id: run.run_id,
+      attempt: 1,
+      queued_at: new Date().toISOString(),
+      requeue_reason: 'stale'
+    }));
+    // Touch updated_at so the run is not picked up again on the next pass
+    await updateRunStatus(run.run_id, 'queued', run.stage);
+  }
+}
+
+/**
+ * Periodic recovery pass; only one worker at a time runs it
+ */
+async function runReaper() {
+  const acquired = await redis.set(REAPER_LOCK_KEY, WORKER_ID, { nx: true, ex: Math.ceil(REAPER_INTERVAL / 1000) });
+  if (!acquired) return;
+  
+  await reapExpiredLeases();
+  await requeueStaleRuns();
+}
+
+// ============================================================
+// WORKER LOOP
+// ============================================================
+
+// Set once SIGTERM/SIGINT arrives; poll loops stop claiming new jobs
+let shuttingDown = false;
+
+// Jobs currently being processed, keyed by the raw string held in the processing list
+const inFlightJobs = new Map();
+
+// Set when the shutdown grace period elapses; in-flight pipelines then stop at their next status write
+let abortInFlight = false;
+
+// Lease heartbeat timer, cleared on shutdown
+let leaseTimer = null;
+// Reaper and retry promotion timer, cleared on shutdown
+let maintenanceTimer = null;
+
+/**
+ * Put an unfinished job back on the queue and note the interruption on its run. The run stays
+ * `queued`, so the stale-run scan still finds it if the re-queued job is lost.
+ */
+async function requeueInterruptedJob(jobData, job) {
+  await redis.lrem(PROCESSING_LIST, 1, jobData);
+  await redis.rpush(QUEUE_NAME, jobData); // Front of the queue: it was already being worked on
+  
+  // Written directly: updateRunStatus refuses writes once in-flight pipelines are aborted
+  try {
+    await adapters.runs.updateRun(job.run_id, {
+      status: 'queued',
+      updated_at: new Date().toISOString(),
+      error_message: 'Interrupted by worker shutdown, re-queued'
+    });
+  } catch (error) {
+    logger.warn('Failed to update run status', { status: 'queued', error: error.message });
+  }
+  logger.warn('Re-queued interrupted job', { run_id: job.run_id });
 }
 
 /**
- * Fallback deduplication when AI is unavailable
+ * Stop polling, give in-flight jobs SHUTDOWN_GRACE_PERIOD to finish, re-queue the rest, exit.
+ * A second signal exits immediately.
  */
-function fallbackDeduplication(benefits, maxCount) {
-  const seen = new Map();
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('Signal received again, exiting now', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
   
-  for (const benefit of benefits) {
-    // Create a normalized key from first 50 chars of title
-    const key = (benefit.title || '')
-      .substring(0, 50)
-      .toLowerCase()
-      .replace(/[^\u0590-\u05FFa-z0-9]/g, '');
-    
-    if (!seen.has(key)) {
-      seen.set(key, benefit);
-    } else {
-      // Merge evidence spans from duplicate
-      const existing = seen.get(key);
-      const newSpans = benefit.evidence_set?.spans || [];
-      existing.evidence_set.spans = [
-        ...existing.evidence_set.spans,
-        ...newSpans.filter(ns => 
-          !existing.evidence_set.spans.some(es => es.quote === ns.quote)
-        )
-      ];
+  logger.info('Shutdown signal received, stopping polling', { signal, in_flight_jobs: inFlightJobs.size });
+  clearInterval(leaseTimer);
+  clearInterval(maintenanceTimer);
+  
+  try {
+    if (inFlightJobs.size > 0) {
+      let timer;
+      const timedOut = await Promise.race([
+        Promise.all([...inFlightJobs.values()].map(j => j.done)).then(() => false),
+        new Promise(resolve => { timer = setTimeout(() => resolve(true), SHUTDOWN_GRACE_PERIOD); }),
+      ]);
+      clearTimeout(timer);
+      
+      if (timedOut) {
+        logger.warn('Shutdown grace period elapsed', { grace_period_ms: SHUTDOWN_GRACE_PERIOD });
+        abortInFlight = true;
+        for (const [jobData, { job }] of inFlightJobs) {
+          if (job) await requeueInterruptedJob(jobData, job);
+        }
+      }
     }
     
-    if (seen.size >= maxCount) break;
+    await releaseLease();
+  } catch (error) {
+    logger.error('Error during shutdown', { error: error.message });
   }
   
-  // Cap evidence spans
-  const results = Array.from(seen.values());
-  for (const b of results) {
-    if (b.evidence_set?.spans?.length > 5) {
-      b.evidence_set.spans = capEvidenceSpansWorker(b.evidence_set.spans, 5);
+  logger.info('Worker stopped');
+  process.exit(0);
+}
+
+// Set while a maintenance pass runs, so a slow Redis doesn't stack up passes
+let maintenanceRunning = false;
+let lastReapAt = 0;
+
+/**
+ * Run the reaper when it is due and promote due retries. Runs on its own timer, so a long
+ * job in one polling slot doesn't hold up retries and stale leases for the idle ones.
+ */
+async function runMaintenance() {
+  if (maintenanceRunning || shuttingDown) return;
+  maintenanceRunning = true;
+  try {
+    if (Date.now() - lastReapAt >= REAPER_INTERVAL) {
+      lastReapAt = Date.now();
+      await runReaper();
     }
+    
+    const promoted = await promoteDueRetries();
+    if (promoted > 0) {
+      logger.info('Promoted due retries to the queue', { jobs: promoted });
+    }
+  } catch (error) {
+    logger.error('Maintenance error', { error: error.message });
+  } finally {
+    maintenanceRunning = false;
   }
-  return results;
 }
 
-async function stageValidate(run_id, normalizeResult) {
-  console.log('  5️⃣  Validate - Checking quality...');
-  await updateRunStatus(run_id, 'queued', 'validate');
-  
-  const { normalizedBenefits, missingRequirements } = normalizeResult;
-  
-  if (!normalizedBenefits || !Array.isArray(normalizedBenefits)) {
-    console.log('     ⚠️ No benefits to validate');
-    return { 
-      ...normalizeResult, 
-      validatedBenefits: { valid: [], invalid: [], score: 0 },
-      qualityMetrics: { evidence_coverage_ratio: 0, benefits_count: 0, warnings: [] }
-    };
+/**
+ * One polling slot
+ */
+async function pollLoop() {
+  while (!shuttingDown) {
+    try {
+      lastPollAt = Date.now();
+      
+      // Move job into this worker's processing list
+      const jobData = await claimJob();
+      
+      if (jobData) {
+        // `done` settles once the job is acknowledged, which is what shutdown waits for
+        const entry = { job: null };
+        entry.done = new Promise(resolve => { entry.markDone = resolve; });
+        inFlightJobs.set(jobData, entry);
+        
+        try {
+          entry.job = typeof jobData === 'string' ? JSON.parse(jobData) : jobData;
+          await processJob(entry.job);
+        } finally {
+          try {
+            // processJob has already scheduled a retry or dead-lettered a failed job
+            await ackJob(jobData);
+          } finally {
+            inFlightJobs.delete(jobData);
+            entry.markDone();
+          }
+        }
+      } else {
+        // No jobs, wait before polling again
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      }
+      
+    } catch (error) {
+      logger.error('Worker error', { error: error.message });
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
   }
-  
-  // REQUIREMENT: 100% evidence coverage - filter benefits with valid evidence
-  const benefitsWithEvidence = normalizedBenefits.filter(b => {
-    const spans = b.evidence_set?.spans;
-    return spans && Array.isArray(spans) && spans.length > 0 && 
-           spans.every(s => s.quote && s.document_id && s.page);
-  });
-  
-  // Benefits without complete evidence (rejected)
-  const benefitsWithoutEvidence = normalizedBenefits.filter(b => {
-    const spans = b.evidence_set?.spans;
-    return !spans || !Array.isArray(spans) || spans.length === 0 ||
-           !spans.every(s => s.quote && s.document_id && s.page);
+}
+
+async function startWorker() {
+  logger.info('Insurance Worker Started', {
+    queue: QUEUE_NAME,
+    poll_interval_ms: POLL_INTERVAL,
+    max_retries: MAX_RETRIES,
+    job_concurrency: JOB_CONCURRENCY,
+    document_concurrency: DOCUMENT_CONCURRENCY,
+    storage: adapters.name,
+    worker_id: WORKER_ID,
+    lease_seconds: VISIBILITY_TIMEOUT,
+    metrics_port: METRICS_PORT || undefined,
+    log_level: LOG_LEVEL,
   });
   
-  // Calculate quality metrics
-  const evidenceCoverageRatio = normalizedBenefits.length > 0 
-    ? benefitsWithEvidence.length / normalizedBenefits.length 
-    : 0;
+  if (METRICS_PORT) {
+    startHealthServer(METRICS_PORT);
+  }
   
-  const warnings = [];
+  await renewLease();
   
-  // Add warnings based on missing requirements
-  if (missingRequirements?.some(m => m.code === 'schedule_required')) {
-    warnings.push('סכומים ותקרות לא מוצגים - חסר דף פרטי ביטוח');
+  // A worker restarted with the same WORKER_ID takes back whatever it was holding
+  const reclaimed = await requeueProcessingList(WORKER_ID);
+  if (reclaimed > 0) {
+    logger.warn('Re-queued unfinished jobs from previous run', { jobs: reclaimed });
   }
   
-  if (benefitsWithoutEvidence.length > 0) {
-    warnings.push(`${benefitsWithoutEvidence.length} זכויות נדחו עקב חוסר ראיות מלאות`);
-  }
+  leaseTimer = setInterval(() => {
+    renewLease().catch(err => logger.error('Failed to renew lease', { error: err.message }));
+  }, (VISIBILITY_TIMEOUT * 1000) / 3);
   
-  const qualityMetrics = {
-    evidence_coverage_ratio: evidenceCoverageRatio,
-    benefits_count: benefitsWithEvidence.length,
-    warnings
-  };
+  maintenanceTimer = setInterval(runMaintenance, POLL_INTERVAL);
+  runMaintenance();
   
-  console.log(`     ✓ Valid: ${benefitsWithEvidence.length}, Invalid: ${benefitsWithoutEvidence.length}`);
-  console.log(`     📊 Evidence coverage: ${(evidenceCoverageRatio * 100).toFixed(1)}%`);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
   
-  return {
-    ...normalizeResult,
-    validatedBenefits: {
-      valid: benefitsWithEvidence,
-      invalid: benefitsWithoutEvidence,
-      score: evidenceCoverageRatio * 100
-    },
-    qualityMetrics
-  };
+  await Promise.all(Array.from({ length: JOB_CONCURRENCY }, () => pollLoop()));
 }
 
-async function stageExport(run_id, validateResult) {
-  console.log('  6️⃣  Export - Saving to database...');
-  await updateRunStatus(run_id, 'queued', 'export');
-  
-  const { validatedBenefits, qualityMetrics, documents, policyFingerprint } = validateResult;
-  const benefits = validatedBenefits?.valid || [];
+// ============================================================
+// HEALTH & METRICS SERVER
+// ============================================================
+
+// Updated on every poll; /healthz reports the loop dead if it stops moving
+let lastPollAt = null;
+const HEALTH_POLL_TIMEOUT = Math.max(3 * POLL_INTERVAL, 60000);
+
+/**
+ * Sample queue depths from Redis for /metrics
+ */
+async function sampleQueueDepths() {
+  const workers = await redis.smembers(WORKERS_SET);
+  let processing = 0;
+  for (const workerId of workers) {
+    processing += await redis.llen(`${PROCESSING_LIST_PREFIX}${workerId}`);
+  }
   
-  if (!benefits || benefits.length === 0) {
-    console.log('     ⚠️ No benefits to export');
-    return { benefitCount: 0 };
-  }
-  
-  // Insert benefits in batches of 50
-  const batchSize = 50;
-  let insertedCount = 0;
-  
-  for (let i = 0; i < benefits.length; i += batchSize) {
-    const batch = benefits.slice(i, i + batchSize).map((b) => {
-      // Validate status is one of allowed values
-      const status = b.status === 'excluded' ? 'excluded' : 'included';
-      return {
-        benefit_id: b.benefit_id,
-        run_id: run_id,
-        layer: b.layer,
-        title: b.title,
-        summary: b.summary,
-        status: status, // 'included' or 'excluded' per benefits_status_check constraint
-        evidence_set: b.evidence_set,
-        tags: b.tags,
-        eligibility: b.eligibility,
-        amounts: b.amounts,
-        actionable_steps: b.actionable_steps
-      };
+  return [
+    { labels: { queue: 'pending' }, value: await redis.llen(QUEUE_NAME) },
+    { labels: { queue: 'processing' }, value: processing },
+    { labels: { queue: 'delayed' }, value: await redis.zcard(DELAYED_QUEUE) },
+    { labels: { queue: 'dead' }, value: await redis.llen(DEAD_LETTER_QUEUE) },
+  ];
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleHealthRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  
+  if (url.pathname === '/healthz') {
+    const pollAge = lastPollAt ? Date.now() - lastPollAt : null;
+    // A single slot does not poll while it works on a long job, so in-flight work counts as alive
+    const alive = !shuttingDown && (inFlightJobs.size > 0 || (pollAge !== null && pollAge < HEALTH_POLL_TIMEOUT));
+    return sendJson(res, alive ? 200 : 503, {
+      status: alive ? 'ok' : 'unhealthy',
+      last_poll_at: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+      in_flight_jobs: inFlightJobs.size,
+      shutting_down: shuttingDown,
+      worker_id: WORKER_ID,
+      worker_version: WORKER_VERSION,
     });
-    
-    const { error } = await supabase
-      .from('benefits')
-      .insert(batch);
-    
-    if (error) {
-      console.error(`     ⚠️ Batch insert error: ${error.message}`);
-      console.error(`     🔍 Error code: ${error.code}, hint: ${error.hint}, details: ${error.details}`);
-    } else {
-      insertedCount += batch.length;
-    }
   }
   
-  // Calculate total pages processed
-  const totalPages = (documents || []).reduce((sum, d) => sum + (d.pages || 1), 0);
-  
-  // Update run with quality metrics
-  const runQualityMetrics = {
-    total_pages_processed: totalPages,
-    extraction_confidence: qualityMetrics?.evidence_coverage_ratio || 0,
-    validation_score: qualityMetrics?.evidence_coverage_ratio || 0
-  };
+  if (url.pathname === '/readyz') {
+    const checks = {};
+    for (const [name, check] of [['redis', () => redis.ping()], ['storage', () => adapters.ping()]]) {
+      try {
+        await check();
+        checks[name] = 'ok';
+      } catch (error) {
+        checks[name] = error.message;
+      }
+    }
+    const ready = !shuttingDown && Object.values(checks).every(v => v === 'ok');
+    return sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+  }
   
-  await supabase
-    .from('runs')
-    .update({ quality_metrics: runQualityMetrics })
-    .eq('run_id', run_id);
+  if (url.pathname === '/metrics') {
+    const gauges = [
+      { name: 'policy_worker_in_flight_jobs', help: 'Jobs currently processed by this worker', samples: [{ value: inFlightJobs.size }] },
+    ];
+    try {
+      gauges.unshift({ name: 'policy_worker_queue_depth', help: 'Jobs per queue list', samples: await sampleQueueDepths() });
+    } catch (error) {
+      logger.warn('Failed to sample queue depth', { error: error.message });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    return res.end(renderMetrics(gauges));
+  }
   
-  console.log(`     ✓ Exported ${insertedCount} benefits`);
-  return { benefitCount: insertedCount };
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+function startHealthServer(port) {
+  const server = http.createServer((req, res) => {
+    handleHealthRequest(req, res).catch((error) => {
+      logger.error('Health server error', { path: req.url, error: error.message });
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+    });
+  });
+  // A port already in use must not take the worker down; it keeps running without the endpoints
+  server.on('error', (error) => {
+    logger.error('Health server failed, continuing without it', { port, error: error.message });
+  });
+  server.listen(port);
+  return server;
 }
 
 // ============================================================
-// MAIN PIPELINE
+// CLI
 // ============================================================
 
-async function processPolicyPipeline(run_id) {
-  console.log(`\n📋 Starting pipeline for run: ${run_id}`);
-  console.log('━'.repeat(50));
-  
-  try {
-    // Stage 1: Intake
-    const intakeResult = await stageIntake(run_id);
-    if (!intakeResult.documents || intakeResult.documents.length === 0) {
-      throw new Error('No documents could be processed');
-    }
-    
-    // Check for blockers
-    const blockers = intakeResult.missingRequirements?.filter(m => m.severity === 'blocker') || [];
-    if (blockers.length > 0) {
-      throw new Error(`Blocking issues: ${blockers.map(b => b.message).join('; ')}`);
+const CLI_USAGE = `Usage:
+  node index.js                      Start the queue worker
+  node index.js process <path> [options]
+      <path>                         A document or a folder of documents (PDF, DOCX, HTML, TXT, EML, JPEG, PNG)
+      --out <file>                   Where to write the result JSON (default: result.json)
+      --doc-type <file>=<type>       Set the doc_type of one file (repeatable), e.g. schedule.pdf=schedule
+  node index.js dead list [--limit <n>]          List dead-letter jobs, newest first
+  node index.js dead inspect <dead_id|run_id>    Show the full entry, including the stack trace
+  node index.js dead requeue <dead_id|run_id>    Re-queue as a fresh job (or --all)
+  node index.js dead purge <dead_id|run_id>      Delete the entry (or --all)`;
+
+function parseCliArgs(args) {
+  const options = { positional: [], docTypes: {} };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out') {
+      options.out = args[++i];
+    } else if (arg === '--doc-type') {
+      const [fileName, docType] = (args[++i] || '').split('=');
+      if (!fileName || !docType) throw new Error('--doc-type expects <file>=<type>');
+      options.docTypes[fileName] = docType;
+    } else if (arg === '--limit') {
+      options.limit = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.limit) || options.limit < 1) throw new Error('--limit expects a positive number');
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.positional.push(arg);
     }
-    
-    // Stage 2: Map
-    const mapResult = await stageMap(run_id, intakeResult);
-    
-    // Stage 3: Harvest
-    const harvestResult = await stageHarvest(run_id, mapResult);
-    
-    // Stage 4: Normalize
-    const normalizeResult = await stageNormalize(run_id, harvestResult);
-    
-    // Stage 5: Validate
-    const validateResult = await stageValidate(run_id, normalizeResult);
-    
-    // Stage 6: Export
-    const exportResult = await stageExport(run_id, validateResult);
-    
-    // Mark run as completed
-    await updateRunStatus(run_id, 'completed', 'export');
-    
-    console.log('━'.repeat(50));
-    console.log(`✅ Pipeline completed: ${exportResult.benefitCount} benefits extracted`);
-    
-    return { success: true, benefitCount: exportResult.benefitCount };
-    
-  } catch (error) {
-    console.error(`\n❌ Pipeline failed: ${error.message}`);
-    
-    // Mark run as failed
-    await supabase
-      .from('runs')
-      .update({ 
-        status: 'failed', 
-        stage: 'intake',
-        error_message: error.message,
-        updated_at: new Date().toISOString()
-      })
-      .eq('run_id', run_id);
-    
-    throw error;
   }
+  
+  return options;
 }
 
-// ============================================================
-// JOB PROCESSING
-// ============================================================
+// Extensions picked up from a folder; the actual format is detected from the content
+const LOCAL_DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.html', '.htm', '.txt', '.eml', '.jpg', '.jpeg', '.png'];
 
-async function processJob(job) {
-  const { run_id, attempt = 1 } = job;
+/**
+ * Collect local documents from a file or folder path (folders are not walked recursively)
+ */
+async function collectLocalFiles(inputPath) {
+  const stat = await fs.stat(inputPath);
+  if (stat.isFile()) return [path.resolve(inputPath)];
+  
+  const entries = await fs.readdir(inputPath, { withFileTypes: true });
+  return entries
+    .filter(e => e.isFile() && LOCAL_DOCUMENT_EXTENSIONS.includes(path.extname(e.name).toLowerCase()))
+    .map(e => path.resolve(inputPath, e.name))
+    .sort();
+}
+
+/**
+ * Run the full pipeline over local files without Supabase or Redis and write the result as JSON
+ */
+async function processLocalFolder(inputPath, options = {}) {
+  const files = await collectLocalFiles(inputPath);
+  if (files.length === 0) {
+    throw new Error(`No documents found in ${inputPath}`);
+  }
   
-  console.log(`\n🔄 Processing job: ${run_id} (attempt ${attempt}/${MAX_RETRIES}) [Worker ${WORKER_VERSION}]`);
+  const run_id = uuidv4();
+  const documents = files.map(file => ({
+    document_id: uuidv4(),
+    run_id,
+    display_name: path.basename(file),
+    // Without --doc-type the type is detected from the content
+    doc_type: options.docTypes?.[path.basename(file)] || null,
+    storage_key: file,
+  }));
+  
+  // Local runs never touch Supabase: state lives in memory and documents are read from disk
+  setAdapters(createMemoryAdapters({
+    runs: [{ run_id, status: 'queued', stage: 'intake', created_at: new Date().toISOString() }],
+    documents,
+  }));
+  
+  const result = await processPolicyPipeline(run_id);
+  const run = await adapters.runs.getRun(run_id);
+  const processedDocuments = await adapters.storage.listDocuments(run_id);
+  const benefits = await adapters.benefits.listBenefits(run_id);
+  
+  const output = {
+    run_id,
+    worker_version: WORKER_VERSION,
+    source: path.resolve(inputPath),
+    documents: processedDocuments.map(d => ({
+      document_id: d.document_id,
+      display_name: d.display_name,
+      doc_type: d.doc_type,
+      declared_doc_type: d.declared_doc_type,
+      detected_doc_type: d.detected_doc_type,
+      doc_type_confidence: d.doc_type_confidence,
+      doc_type_note: d.doc_type_note || undefined,
+      format: d.format,
+      pages: d.pages,
+      sha256: d.sha256,
+      text_length: d.text_length,
+      ocr_pages: d.ocr_pages,
+      duplicate_of: d.duplicate_of,
+      duplicate_kind: d.duplicate_kind,
+    })),
+    policy_metadata: run.policy_metadata || {},
+    claim_steps: run.claim_steps || [],
+    missing_requirements: result.missingRequirements || [],
+    quality_metrics: {
+      ...run.quality_metrics,
+      evidence_coverage_ratio: result.qualityMetrics?.evidence_coverage_ratio || 0,
+      warnings: result.qualityMetrics?.warnings || [],
+    },
+    benefits,
+  };
   
-  try {
-    // Verify run exists
-    const { data: run, error: runError } = await supabase
-      .from('runs')
-      .select('*')
-      .eq('run_id', run_id)
-      .maybeSingle();
-    
-    if (runError) {
-      throw new Error(`Failed to fetch run: ${runError.message}`);
-    }
-    
-    if (!run) {
-      console.log(`⚠️ Run ${run_id} not found, skipping`);
+  const outPath = path.resolve(options.out || 'result.json');
+  await fs.writeFile(outPath, JSON.stringify(output, null, 2));
+  logger.info('Wrote result', { benefits: benefits.length, out: outPath });
+  
+  return output;
+}
+
+/**
+ * Admin commands for the dead-letter queue: list, inspect, requeue, purge
+ */
+async function runDeadLetterCommand(subcommand, options) {
+  const [id] = options.positional;
+  
+  if (subcommand === 'list') {
+    const entries = await listDeadJobs(options.limit);
+    if (entries.length === 0) {
+      console.log('Dead-letter queue is empty');
       return;
     }
-    
-    if (run.status === 'completed' || run.status === 'failed') {
-      console.log(`⚠️ Run ${run_id} already ${run.status}, skipping`);
-      return;
+    for (const e of entries) {
+      console.log(`${e.dead_id}  run=${e.run_id}  stage=${e.stage || '-'}  attempts=${e.attempts ?? '-'}  failed_at=${e.failed_at || '-'}`);
+      console.log(`    ${(e.error || '').substring(0, 160)}`);
     }
-    
-    // Process the pipeline
-    await processPolicyPipeline(run_id);
-    
-  } catch (error) {
-    console.error(`❌ Job failed: ${run_id} ${error.message}`);
-    
-    if (attempt < MAX_RETRIES) {
-      // Re-queue with incremented attempt
-      console.log(`↩️ Re-queuing job (attempt ${attempt + 1})`);
-      await redis.lpush(QUEUE_NAME, JSON.stringify({
-        run_id,
-        attempt: attempt + 1,
-        queued_at: new Date().toISOString()
-      }));
-    } else {
-      console.error(`💀 Job exhausted retries: ${run_id}`);
+    console.log(`${entries.length} dead job(s)`);
+    return;
+  }
+  
+  if (!['inspect', 'requeue', 'purge'].includes(subcommand)) {
+    throw new Error(`Unknown dead-letter command: ${subcommand || '(none)'}\n\n${CLI_USAGE}`);
+  }
+  
+  if (!id && !(options.all && subcommand !== 'inspect')) {
+    throw new Error(`dead ${subcommand} expects a dead_id or run_id${subcommand === 'inspect' ? '' : ' (or --all)'}`);
+  }
+  
+  const entries = options.all ? await listDeadJobs() : await findDeadJobs(id);
+  if (entries.length === 0) {
+    throw new Error(options.all ? 'Dead-letter queue is empty' : `No dead-letter entry matches ${id}`);
+  }
+  
+  if (subcommand === 'inspect') {
+    for (const { raw, ...entry } of entries) {
+      console.log(JSON.stringify(entry, null, 2));
+    }
+    return;
+  }
+  
+  let count = 0;
+  for (const entry of entries) {
+    const done = subcommand === 'requeue'
+      ? await requeueDeadJob(entry)
+      : await purgeDeadJob(entry);
+    if (done) {
+      count++;
+      console.log(`${subcommand === 'requeue' ? '↩️ Re-queued' : '🗑️ Purged'} ${entry.run_id} (${entry.dead_id})`);
     }
-    
-    throw error;
   }
+  console.log(`${count} dead job(s) ${subcommand === 'requeue' ? 're-queued' : 'purged'}`);
 }
 
-// ============================================================
-// WORKER LOOP
-// ============================================================
-
-async function startWorker() {
-  console.log('🚀 Insurance Worker Started');
-  console.log(`   Queue: ${QUEUE_NAME}`);
-  console.log(`   Poll Interval: ${POLL_INTERVAL}ms`);
-  console.log(`   Max Retries: ${MAX_RETRIES}`);
-  console.log('━'.repeat(50));
+async function main(argv) {
+  const [command, ...args] = argv;
   
-  while (true) {
-    try {
-      // Pop job from queue
-      const jobData = await redis.rpop(QUEUE_NAME);
-      
-      if (jobData) {
-        const job = typeof jobData === 'string' ? JSON.parse(jobData) : jobData;
-        await processJob(job);
-      } else {
-        // No jobs, wait before polling again
-        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
-      }
-      
-    } catch (error) {
-      console.error(`Worker error: ${error.message}`);
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  if (!command) {
+    setAdapters(createAdaptersFromEnv());
+    if (!adapters || !redis) {
+      throw new Error('UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are required to start the worker, plus SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless STORAGE_BACKEND=filesystem');
+    }
+    return startWorker();
+  }
+  
+  if (command === 'process') {
+    const options = parseCliArgs(args);
+    if (options.positional.length !== 1) {
+      throw new Error(`Expected exactly one input path\n\n${CLI_USAGE}`);
+    }
+    await processLocalFolder(options.positional[0], options);
+    return;
+  }
+  
+  if (command === 'dead') {
+    const [subcommand, ...rest] = args;
+    if (!redis) {
+      throw new Error('UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are required for dead-letter commands');
     }
+    // Requeue reopens the run, so it also needs the storage backend
+    setAdapters(createAdaptersFromEnv());
+    if (subcommand === 'requeue' && !adapters) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required to requeue runs (or set STORAGE_BACKEND=filesystem)');
+    }
+    await runDeadLetterCommand(subcommand, parseCliArgs(rest));
+    return;
+  }
+  
+  if (command === 'help' || command === '--help') {
+    console.log(CLI_USAGE);
+    return;
   }
+  
+  throw new Error(`Unknown command: ${command}\n\n${CLI_USAGE}`);
 }
 
-// Start the worker
-startWorker().catch(console.error);
+// Start the worker (or run a CLI command)
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});